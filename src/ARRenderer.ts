@@ -1,6 +1,10 @@
-import {Vector2, WebGLRenderer, Scene, PerspectiveCamera, PCFSoftShadowMap, Object3D, ShadowMapType, Raycaster, Intersection} from "three";
-import {XRLightProbe} from "types.js";
+import {Vector2, Vector3, Matrix4, WebGLRenderer, Scene, PerspectiveCamera, PCFSoftShadowMap, Object3D, ShadowMapType, Raycaster, Intersection} from "three";
+import {XRLightProbe, XRCPUDepthInformation} from "types.js";
 import {ARObject} from "./object/ARObject";
+import {AnchoredObject} from "./object/AnchoredObject";
+import {DepthDataTexture} from "./texture/DepthDataTexture";
+import {DepthCanvasTexture} from "./texture/DepthCanvasTexture";
+import {DepthOcclusion} from "./material/DepthOcclusion";
 import {EventManager} from "./utils/EventManager";
 import {ARRendererConfig} from "./ARRendererConfig";
 
@@ -83,6 +87,41 @@ export class ARRenderer
 	 */
 	public xrHitTestSource: XRHitTestSource = null;
 
+	/**
+	 * Results of the hit test source for the current frame, sorted by distance.
+	 * 
+	 * Available when config.hitTest is set true.
+	 */
+	public xrHitTestResults: XRHitTestResult[] = [];
+
+	/**
+	 * XR hit test source for screen touches (transient input), used to find the real-world surface under a finger.
+	 * 
+	 * Available when config.hitTest is set true and supported by the device/browser.
+	 */
+	public xrTransientHitTestSource: any = null;
+
+	/**
+	 * Results of the transient hit test source for the touch of the current frame, sorted by distance.
+	 * 
+	 * Empty when the screen is not being touched.
+	 */
+	public xrTransientHitTestResults: XRHitTestResult[] = [];
+
+	/**
+	 * Objects attached to XR anchors.
+	 * 
+	 * Anchors keep objects in place as the system refines its understanding of the environment.
+	 */
+	public anchors: AnchoredObject[] = [];
+
+	/**
+	 * Anchors requested but not yet created.
+	 * 
+	 * Anchors can only be created during a XR frame, requests are processed on the next frame.
+	 */
+	private anchorRequests: {object: Object3D, useHitTest: boolean, resolve: (anchor: XRAnchor) => void, reject: (error: Error) => void}[] = [];
+
 	/**
 	 * Lighting probe allow the system to check environment ligthing.
 	 * 
@@ -101,6 +140,58 @@ export class ARRenderer
 	 */
 	public xrReflectionCubeMap: WebGLTexture = null;
 
+	/**
+	 * Depth data captured by the XR system for the current frame.
+	 * 
+	 * Available when config.depthSensing is set true, might be null if the system has no depth data for the frame.
+	 * 
+	 * Only valid inside the XR frame callback (e.g. onFrame), use getDepth() to read depth values at any time.
+	 */
+	public depthData: XRCPUDepthInformation = null;
+
+	/**
+	 * Copy of the depth buffer of the last frame with depth data, packed 16 bit values in depth buffer space.
+	 * 
+	 * Used by getDepth() outside of the XR frame callback, where the depth data is no longer valid.
+	 */
+	private depthBuffer: Uint16Array = null;
+
+	/**
+	 * Size of the copied depth buffer.
+	 */
+	private depthBufferSize: Vector2 = new Vector2();
+
+	/**
+	 * Scale from the packed depth values to meters of the copied depth buffer.
+	 */
+	private depthRawValueToMeters: number = 0;
+
+	/**
+	 * Transform from normalized view coordinates to normalized depth buffer coordinates of the copied depth buffer.
+	 */
+	private depthBufferFromView: Matrix4 = new Matrix4();
+
+	/**
+	 * Texture with the raw depth data, updated every frame.
+	 * 
+	 * Available when config.depthSensing and config.depthTexture are set true.
+	 */
+	public depthTexture: DepthDataTexture = null;
+
+	/**
+	 * Canvas texture with the depth data drawn as a grayscale image, updated every frame.
+	 * 
+	 * Available when config.depthSensing and config.depthCanvasTexture are set.
+	 */
+	public depthCanvasTexture: DepthCanvasTexture = null;
+
+	/**
+	 * Depth occlusion applied to the meshes of the scene.
+	 * 
+	 * Available when config.depthOcclusion is set true. Created once and kept across sessions, patched materials stay bound to its uniforms.
+	 */
+	public depthOcclusion: DepthOcclusion = null;
+
 	/**
 	 * Callback to update logic of the app before rendering.
 	 */
@@ -177,9 +268,10 @@ export class ARRenderer
 			config.requiredFeatures.push("hit-test");
 		}
 
+		// Optional, sessions start without light estimation and the scene keeps its default lights
 		if (this.config.lightProbe) 
 		{
-			config.requiredFeatures.push("light-estimation");
+			config.optionalFeatures.push("light-estimation");
 		}
 
 		if (this.config.imageTracking) 
@@ -193,6 +285,47 @@ export class ARRenderer
 			config.trackedImages = this.config.imageTracking;
 		}
 
+		if (this.config.depthOcclusion)
+		{
+			if (!this.config.depthSensing || !this.config.depthTexture)
+			{
+				throw new Error("depthOcclusion requires depthSensing and depthTexture to be enabled.");
+			}
+
+			if (!this.depthOcclusion)
+			{
+				this.depthOcclusion = new DepthOcclusion();
+			}
+		}
+
+		if (this.config.depthSensing) 
+		{
+			config.requiredFeatures.push("depth-sensing");
+			config.depthSensing = {usagePreference: ["cpu-optimized"], dataFormatPreference: ["luminance-alpha"]};
+
+			if (this.config.depthTexture)
+			{
+				this.depthTexture = new DepthDataTexture();
+			}
+
+			if (this.config.depthCanvasTexture)
+			{
+				const canvas = document.createElement("canvas");
+				this.depthCanvasTexture = new DepthCanvasTexture(canvas);
+
+				if (this.config.depthCanvasTexture === "debug")
+				{
+					canvas.style.position = "absolute";
+					canvas.style.right = "10px";
+					canvas.style.bottom = "10px";
+					canvas.style.width = "30%";
+					canvas.style.borderRadius = "10px";
+					canvas.style.pointerEvents = "none";
+					this.domContainer.appendChild(canvas);
+				}
+			}
+		}
+
 		this.xrSession = await navigator.xr.requestSession("immersive-ar", config);
 
 		// @ts-ignore
@@ -217,18 +350,43 @@ export class ARRenderer
 			});
 
 			// console.log('enva-xr: XR hit test source', this.xrHitTestSource);
+
+			// @ts-ignore
+			if (this.xrSession.requestHitTestSourceForTransientInput)
+			{
+				try
+				{
+					// @ts-ignore
+					this.xrTransientHitTestSource = await this.xrSession.requestHitTestSourceForTransientInput({
+						profile: 'generic-touchscreen',
+						entityTypes: ['plane', 'point', 'mesh']
+					});
+				}
+				catch (e)
+				{
+					console.warn('enva-xr: Transient input hit test not available', e);
+				}
+			}
 		}
 
 		// Light probe
 		if (this.config.lightProbe) 
 		{
-			// @ts-ignore
-			this.xrLightProbe = await this.xrSession.requestLightProbe({
+			try
+			{
 				// @ts-ignore
-				reflectionFormat: this.xrSession.preferredReflectionFormat
-			});
+				this.xrLightProbe = await this.xrSession.requestLightProbe({
+					// @ts-ignore
+					reflectionFormat: this.xrSession.preferredReflectionFormat
+				});
+			}
+			catch (e)
+			{
+				console.warn('enva-xr: Light estimation not available', e);
+				this.xrLightProbe = null;
+			}
 
-			if (this.config.reflectionCubeMap)
+			if (this.xrLightProbe && this.config.reflectionCubeMap)
 			{
 				this.xrLightProbe.onreflectionchange = () => 
 				{
@@ -261,8 +419,8 @@ export class ARRenderer
 		// Stop animation loop
 		this.renderer.setAnimationLoop(null);
 
-		// Remove DOM overlay
-		if (this.config.domOverlay) 
+		// Remove DOM overlay (stop might be called again by the session end event)
+		if (this.config.domOverlay && this.domContainer.parentElement === document.body) 
 		{
 			document.body.removeChild(this.domContainer);
 		}
@@ -277,15 +435,58 @@ export class ARRenderer
 		// Destroy and clear events associated
 		this.event.clear();
 
+		// Anchors
+		for (let i = 0; i < this.anchors.length; i++)
+		{
+			this.anchors[i].anchor.delete();
+		}
+		this.anchors = [];
+
+		for (let i = 0; i < this.anchorRequests.length; i++)
+		{
+			this.anchorRequests[i].reject(new Error("XR session ended before the anchor was created."));
+		}
+		this.anchorRequests = [];
+
 		// Clean XR structures
 		this.xrSession = null;
 		this.xrHitTestSource = null;
+		this.xrHitTestResults = [];
+		this.xrTransientHitTestSource = null;
+		this.xrTransientHitTestResults = [];
 		this.xrReferenceSpace = null;
 		this.xrGlBinding = null;
 		this.xrLightProbe = null;
 		this.xrReflectionCubeMap = null;
 		this.xrViewerPose = null;
 		this.xrViews = [];
+
+		// Depth
+		this.depthData = null;
+		this.depthBuffer = null;
+
+		if (this.depthOcclusion)
+		{
+			this.depthOcclusion.reset();
+		}
+
+		if (this.depthTexture)
+		{
+			this.depthTexture.dispose();
+			this.depthTexture = null;
+		}
+
+		if (this.depthCanvasTexture)
+		{
+			const canvas: HTMLCanvasElement = this.depthCanvasTexture.image;
+			if (canvas.parentElement)
+			{
+				canvas.parentElement.removeChild(canvas);
+			}
+
+			this.depthCanvasTexture.dispose();
+			this.depthCanvasTexture = null;
+		}
 	}
 
 
@@ -464,6 +665,201 @@ export class ARRenderer
 		return intersections;
 	}
 
+	/**
+	 * Attach an object to a XR anchor.
+	 * 
+	 * The anchor is created from the current hit test result if available, otherwise it is created at the current position of the object.
+	 * 
+	 * If the object already has an anchor it is replaced. The anchor is deleted automatically when the object is removed from the scene.
+	 * 
+	 * @param object - Object to be anchored, should be a direct child of the scene.
+	 * @param useHitTest - If false the anchor is always created at the current position of the object.
+	 * @returns Promise resolved with the anchor once it is created.
+	 */
+	public createAnchor(object: Object3D, useHitTest: boolean = true): Promise<XRAnchor>
+	{
+		if (!this.xrSession)
+		{
+			return Promise.reject(new Error("XR session must be running to create anchors."));
+		}
+
+		this.removeAnchor(object);
+
+		return new Promise((resolve, reject) =>
+		{
+			this.anchorRequests.push({object: object, useHitTest: useHitTest, resolve: resolve, reject: reject});
+		});
+	}
+
+	/**
+	 * Delete the anchor of an object.
+	 * 
+	 * The object stays at its last position.
+	 * 
+	 * @param object - Object attached to the anchor.
+	 */
+	public removeAnchor(object: Object3D): void
+	{
+		for (let i = this.anchors.length - 1; i >= 0; i--)
+		{
+			if (this.anchors[i].object === object)
+			{
+				this.anchors[i].anchor.delete();
+				this.anchors.splice(i, 1);
+			}
+		}
+	}
+
+	/**
+	 * Create the anchors requested since the last frame.
+	 * 
+	 * @param frame - XR frame object.
+	 */
+	private createRequestedAnchors(frame: XRFrame): void
+	{
+		const requests = this.anchorRequests;
+		const session = this.xrSession;
+		this.anchorRequests = [];
+
+		for (let i = 0; i < requests.length; i++)
+		{
+			const request = requests[i];
+			const position = request.object.position;
+			const quaternion = request.object.quaternion;
+
+			// Object transform without scale, the scale of the object is not changed by the anchor
+			const offset = new Matrix4().compose(position, quaternion, new Vector3(1, 1, 1));
+			let promise: Promise<XRAnchor>;
+
+			if (request.useHitTest && this.xrHitTestResults.length > 0 && this.xrHitTestResults[0].createAnchor)
+			{
+				const hit = this.xrHitTestResults[0];
+				const matrix = new Matrix4().fromArray(hit.getPose(this.xrReferenceSpace).transform.matrix);
+
+				// Object relative to the hit pose, where the anchor is created
+				offset.premultiply(matrix.invert());
+
+				promise = hit.createAnchor();
+			}
+			// @ts-ignore
+			else if (frame.createAnchor)
+			{
+				// Anchor created with the pose of the object, no offset
+				offset.identity();
+
+				// @ts-ignore
+				promise = frame.createAnchor(new XRRigidTransform({x: position.x, y: position.y, z: position.z}, {x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w}), this.xrReferenceSpace);
+			}
+			else
+			{
+				request.reject(new Error("Anchors are not supported by the device/browser."));
+				continue;
+			}
+
+			promise.then((anchor: XRAnchor) =>
+			{
+				// Session ended while the anchor was being created, its space can't be used anymore
+				if (this.xrSession !== session)
+				{
+					anchor.delete();
+					request.reject(new Error("XR session ended before the anchor was created."));
+					return;
+				}
+
+				this.anchors.push({object: request.object, anchor: anchor, offset: offset});
+				request.resolve(anchor);
+			}).catch(request.reject);
+		}
+	}
+
+	/**
+	 * Update the position and orientation of anchored objects from the pose of their anchors.
+	 * 
+	 * Anchors of objects removed from the scene are deleted.
+	 * 
+	 * @param frame - XR frame object.
+	 */
+	private updateAnchors(frame: XRFrame): void
+	{
+		const matrix = new Matrix4();
+		const scale = new Vector3();
+
+		for (let i = this.anchors.length - 1; i >= 0; i--)
+		{
+			const anchored = this.anchors[i];
+
+			if (!anchored.object.parent)
+			{
+				anchored.anchor.delete();
+				this.anchors.splice(i, 1);
+				continue;
+			}
+
+			// @ts-ignore
+			if (frame.trackedAnchors && !frame.trackedAnchors.has(anchored.anchor))
+			{
+				continue;
+			}
+
+			const pose = frame.getPose(anchored.anchor.anchorSpace, this.xrReferenceSpace);
+			if (pose)
+			{
+				// Anchor pose combined with the offset in the anchor local space
+				matrix.fromArray(pose.transform.matrix).multiply(anchored.offset);
+				matrix.decompose(anchored.object.position, anchored.object.quaternion, scale);
+			}
+		}
+	}
+
+	/**
+	 * Get the real-world distance to the camera at a point of the screen.
+	 * 
+	 * Requires config.depthSensing to be set true.
+	 * 
+	 * Reads the depth buffer copied in the last frame with depth data, so it can be called from DOM and touch event handlers.
+	 * 
+	 * @param origin - Point in screen space from -1 to 1 (same as used for raycast).
+	 * @returns Distance in meters, or null if there is no depth data available.
+	 */
+	public getDepth(origin: Vector2): number
+	{
+		if (!this.depthBuffer)
+		{
+			return null;
+		}
+
+		const point = new Vector3((origin.x + 1) / 2, (1 - origin.y) / 2, 0).applyMatrix4(this.depthBufferFromView);
+		const column = Math.floor(point.x * this.depthBufferSize.x);
+		const row = Math.floor(point.y * this.depthBufferSize.y);
+
+		if (column < 0 || row < 0 || column >= this.depthBufferSize.x || row >= this.depthBufferSize.y)
+		{
+			return null;
+		}
+
+		return this.depthBuffer[row * this.depthBufferSize.x + column] * this.depthRawValueToMeters;
+	}
+
+	/**
+	 * Copy the depth buffer of the frame, the depth data object can't be used after the XR frame callback.
+	 * 
+	 * @param depthData - CPU depth data obtained from the XR frame, in luminance-alpha format.
+	 */
+	private copyDepthData(depthData: XRCPUDepthInformation): void
+	{
+		const data = new Uint16Array(depthData.data);
+
+		if (!this.depthBuffer || this.depthBuffer.length !== data.length)
+		{
+			this.depthBuffer = new Uint16Array(data.length);
+		}
+
+		this.depthBuffer.set(data);
+		this.depthBufferSize.set(depthData.width, depthData.height);
+		this.depthRawValueToMeters = depthData.rawValueToMeters;
+		this.depthBufferFromView.fromArray(depthData.normDepthBufferFromNormView.matrix);
+	}
+
 	/**
 	 * Update logic and render this.scene into the screen.
 	 *
@@ -498,6 +894,54 @@ export class ARRenderer
 			// @ts-ignore
 			this.xrViews = this.xrViewerPose.views;
 
+			// Depth data
+			if (this.config.depthSensing && this.xrViews.length > 0)
+			{
+				// @ts-ignore
+				this.depthData = frame.getDepthInformation(this.xrViews[0]);
+
+				if (this.depthData)
+				{
+					this.copyDepthData(this.depthData);
+
+					if (this.depthTexture)
+					{
+						this.depthTexture.updateDepth(this.depthData);
+					}
+
+					if (this.depthCanvasTexture)
+					{
+						this.depthCanvasTexture.updateDepth(this.depthData);
+					}
+				}
+			}
+		}
+
+		// Hit test
+		if (this.xrHitTestSource)
+		{
+			this.xrHitTestResults = frame.getHitTestResults(this.xrHitTestSource);
+		}
+
+		if (this.xrTransientHitTestSource)
+		{
+			// @ts-ignore
+			const transientResults = frame.getHitTestResultsForTransientInput(this.xrTransientHitTestSource);
+			this.xrTransientHitTestResults = transientResults.length > 0 ? transientResults[0].results : [];
+		}
+
+		// Anchors
+		if (this.anchorRequests.length > 0)
+		{
+			this.createRequestedAnchors(frame);
+		}
+		this.updateAnchors(frame);
+
+		// Depth occlusion
+		if (this.depthOcclusion)
+		{
+			this.depthOcclusion.update(this);
+			this.depthOcclusion.applyObject(this.scene);
 		}
 
 		// Update AR objects
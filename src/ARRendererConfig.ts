@@ -42,6 +42,8 @@ export class ARRendererConfig
 	 * Lighting probe allow the system to check environment ligthing.
 	 * 
 	 * Tracks the intensity direction and color of the main light source.
+	 * 
+	 * Requested as an optional feature, xrLightProbe stays null if the device does not support it.
 	 */
 	public lightProbe?: boolean = false;
 
@@ -73,6 +75,15 @@ export class ARRendererConfig
 	 */
 	public depthCanvasTexture?: boolean | 'debug' = false;
 
+	/**
+	 * Hide virtual objects that are behind real-world surfaces.
+	 * 
+	 * Materials of the meshes in the scene are patched to compare their depth against the real-world depth.
+	 * 
+	 * Requires depthSensing and depthTexture to be enabled.
+	 */
+	public depthOcclusion?: boolean = false;
+
 	/**
 	 * Image tracking allows to use an image as reference to align the AR scene with the environemnt.
 	 * 
@@ -0,0 +1,103 @@
+// Model Catalog - Loads the GLB model manifest and caches loaded models
+import {GLTFLoader} from "three/addons/loaders/GLTFLoader.js";
+
+// Manifest format (public/models/catalog.json):
+// { "models": [{ "id", "name", "file", "thumbnail", "scale", "category" }] }
+// "thumbnail" is optional (image URL), "scale" defaults to 1 and "category" to "Other".
+class ModelCatalog {
+  constructor(url = '/models/catalog.json') {
+    this.url = url;
+    this.models = [];
+    this.loader = new GLTFLoader();
+
+    // Loaded model templates by id (promises, so concurrent requests share one load)
+    this.cache = new Map();
+  }
+
+  async load() {
+    console.log(`📚 Loading model catalog ${this.url}...`);
+
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      throw new Error(`Failed to load model catalog (${response.status})`);
+    }
+
+    const manifest = await response.json();
+    this.models = (manifest.models || []).map((entry) => ({
+      id: entry.id,
+      name: entry.name || entry.id,
+      file: entry.file,
+      thumbnail: entry.thumbnail || null,
+      scale: entry.scale || 1,
+      category: entry.category || 'Other'
+    }));
+
+    console.log(`✅ Catalog loaded: ${this.models.length} models`);
+    return this.models;
+  }
+
+  getModel(id) {
+    return this.models.find((model) => model.id === id) || null;
+  }
+
+  // Models grouped by category, in manifest order
+  getCategories() {
+    const categories = new Map();
+    this.models.forEach((model) => {
+      if (!categories.has(model.category)) {
+        categories.set(model.category, []);
+      }
+      categories.get(model.category).push(model);
+    });
+    return categories;
+  }
+
+  // Returns a template scene for the model, clone it before adding to the scene
+  loadModel(id, onProgress = null) {
+    const entry = this.getModel(id);
+    if (!entry) {
+      return Promise.reject(new Error(`Unknown model: ${id}`));
+    }
+
+    if (!this.cache.has(id)) {
+      console.log(`📦 Loading ${entry.file}...`);
+
+      const promise = new Promise((resolve, reject) => {
+        this.loader.load(
+          entry.file,
+          (gltf) => {
+            const model = gltf.scene;
+            model.name = entry.name;
+            model.scale.setScalar(entry.scale);
+
+            // Setup materials and shadows
+            model.traverse((child) => {
+              if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+              }
+            });
+
+            console.log(`✅ MODEL LOADED! ${entry.name} Meshes: ${model.children.length}`);
+            resolve(model);
+          },
+          (progress) => {
+            if (onProgress && progress.total) {
+              onProgress(Math.round((progress.loaded / progress.total) * 100));
+            }
+          },
+          (error) => {
+            this.cache.delete(id);
+            reject(error);
+          }
+        );
+      });
+
+      this.cache.set(id, promise);
+    }
+
+    return this.cache.get(id);
+  }
+}
+
+export default ModelCatalog;
@@ -0,0 +1,93 @@
+// Model Picker - Catalog browser shown in the AR DOM overlay
+class ModelPicker {
+  constructor(container, catalog, onSelect) {
+    this.container = container;
+    this.catalog = catalog;
+    this.onSelect = onSelect;
+    this.selectedId = null;
+    this.buttons = new Map();
+
+    this.element = document.createElement('div');
+    this.element.className = 'model-picker';
+    this.container.appendChild(this.element);
+  }
+
+  render() {
+    this.element.innerHTML = '';
+    this.buttons.clear();
+
+    this.catalog.getCategories().forEach((models, category) => {
+      const group = document.createElement('div');
+      group.className = 'model-picker-category';
+
+      const label = document.createElement('span');
+      label.className = 'model-picker-category-name';
+      label.textContent = category;
+      group.appendChild(label);
+
+      const items = document.createElement('div');
+      items.className = 'model-picker-items';
+
+      models.forEach((model) => {
+        const button = document.createElement('button');
+        button.className = 'model-picker-item';
+        button.title = model.name;
+
+        if (model.thumbnail) {
+          const image = document.createElement('img');
+          image.src = model.thumbnail;
+          image.alt = '';
+          button.appendChild(image);
+        } else {
+          const placeholder = document.createElement('span');
+          placeholder.className = 'model-picker-placeholder';
+          placeholder.textContent = model.name.charAt(0).toUpperCase();
+          button.appendChild(placeholder);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'model-picker-name';
+        name.textContent = model.name;
+        button.appendChild(name);
+
+        button.addEventListener('click', (event) => {
+          event.stopPropagation();
+          this.select(model.id);
+        });
+
+        this.buttons.set(model.id, button);
+        items.appendChild(button);
+      });
+
+      group.appendChild(items);
+      this.element.appendChild(group);
+    });
+
+    if (this.selectedId) {
+      this.highlight(this.selectedId);
+    }
+  }
+
+  select(id) {
+    this.selectedId = id;
+    this.highlight(id);
+
+    if (this.onSelect) {
+      this.onSelect(this.catalog.getModel(id));
+    }
+  }
+
+  highlight(id) {
+    this.buttons.forEach((button, buttonId) => {
+      button.classList.toggle('selected', buttonId === id);
+    });
+  }
+
+  dispose() {
+    if (this.element.parentElement) {
+      this.element.parentElement.removeChild(this.element);
+    }
+  }
+}
+
+export default ModelPicker;
@@ -1,49 +1,85 @@
-// Three.js WebXR AR Controller - Using exact boy-model.html code
-import {ARRenderer, Cursor} from "../enva.ts";
-import {GLTFLoader} from "three/addons/loaders/GLTFLoader.js";
-import {HemisphereLight, DirectionalLight} from "three";
+// Three.js WebXR AR Controller - Based on the boy-model.html example
+import {ARRenderer, Cursor, LightEstimation, ShadowPlane, TouchGestureControls} from "../enva.ts";
+import ModelCatalog from "./model-catalog.js";
+import ModelPicker from "./model-picker.js";
 
 class ThreeJSARController {
   constructor() {
     this.renderer = null;
     this.cursor = null;
-    this.boyModel = null;
+    this.lightEstimation = null;
+    this.shadowPlane = null;
+    this.gestures = null;
+    this.catalog = new ModelCatalog();
+    this.picker = null;
+    this.selectedEntry = null;
+    this.selectedModel = null;
     this.modelLoaded = false;
+    this.placedModels = [];
     this.placedCount = 0;
     this.isARActive = false;
+    this.isSupported = false;
     this.sceneContainer = document.querySelector('#scene');
-    
+
+    // AR mode UI (moved into the DOM overlay while the session runs)
+    this.arMode = document.querySelector('#ar-mode');
+    this.uiOverlay = document.querySelector('#ui-overlay');
+    this.statusElement = document.querySelector('#status');
+    this.modelCountElement = document.querySelector('#model-count');
+    this.arButton = document.querySelector('#ar-button');
+    this.resetButton = document.querySelector('#reset-button');
+    this.statusMessage = null;
+
     // FPS tracking
     this.fps = 0;
     this.frameCount = 0;
     this.lastFpsUpdate = performance.now();
     this.fpsElement = null;
 
-    this.init();
+    this.ready = this.init();
   }
 
   async init() {
-    console.log('🔷 Initializing Three.js AR Controller (boy-model.html code)...');
+    console.log('🔷 Initializing Three.js AR Controller...');
 
-    // Setup enva-xr renderer - EXACT same as boy-model.html
-    await this.setupARRenderer();
+    this.arButton.disabled = true;
+    this.arButton.addEventListener('click', () => this.toggleAR());
+    this.resetButton.addEventListener('click', () => this.reset());
+    this.updateModelCount();
 
-    // Auto-start AR
-    setTimeout(async () => {
-      await this.startAR();
-    }, 500);
+    // Check WebXR AR support before creating the renderer
+    this.isSupported = navigator.xr ? await navigator.xr.isSessionSupported('immersive-ar').catch(() => false) : false;
+    if (!this.isSupported) {
+      console.error('❌ WebXR AR not supported');
+      this.setStatus('WebXR AR not supported on this device');
+      return;
+    }
+
+    try {
+      await this.setupARRenderer();
+    } catch (error) {
+      console.error('❌ Failed to setup AR renderer:', error);
+      this.setStatus(`AR setup failed: ${error.message}`);
+      return;
+    }
+
+    this.arButton.disabled = false;
+    this.setStatus('Press Start AR');
   }
 
   async setupARRenderer() {
-    console.log('🎨 Setting up enva-xr AR Renderer (boy-model.html)...');
+    console.log('🎨 Setting up enva-xr AR Renderer...');
 
-    // EXACT same config as boy-model.html
+    // Same base config as boy-model.html, plus light estimation
     this.renderer = new ARRenderer({
       domOverlay: true,
-      hitTest: true
+      hitTest: true,
+      lightProbe: true,
+      reflectionCubeMap: true
     });
 
-    // Append renderer canvas to scene container
+    // Create the WebGL renderer now so the canvas can be added to the scene container
+    await this.renderer.setupRenderer();
     this.sceneContainer.innerHTML = '';
     this.sceneContainer.appendChild(this.renderer.canvas);
 
@@ -53,113 +89,278 @@ class ThreeJSARController {
     this.cursor = cursor;
     console.log('✅ Cursor added');
 
-    // EXACT same lights as boy-model.html
-    const hemiLight = new HemisphereLight(0xffffff, 0x444444, 1.0);
-    hemiLight.position.set(0, 20, 0);
-    this.renderer.scene.add(hemiLight);
+    // Lighting estimated from the environment (directional + spherical harmonics + reflections),
+    // default white lights until the first estimate or on devices without light estimation
+    this.lightEstimation = new LightEstimation();
+    this.lightEstimation.addEventListener('estimationstart', () => {
+      console.log('💡 Light estimation started');
+    });
+    this.renderer.scene.add(this.lightEstimation);
+    console.log('💡 Lights: LightEstimation');
 
-    const dirLight = new DirectionalLight(0xffffff, 1.0);
-    dirLight.position.set(5, 10, 7.5);
-    dirLight.castShadow = true;
-    this.renderer.scene.add(dirLight);
-    console.log('💡 Lights: HemisphereLight + DirectionalLight');
+    // Shadow-only ground plane, follows the cursor until the first model is placed
+    this.shadowPlane = new ShadowPlane(10, 0.4);
+    this.shadowPlane.target = this.cursor;
+    this.renderer.scene.add(this.shadowPlane);
+    console.log('✅ Shadow plane added');
 
-    // EXACT same model loading as boy-model.html
-    this.loadBoyModel();
+    // Model catalog and picker in the AR UI
+    await this.setupModelPicker();
 
     // Setup FPS display
     this.fpsElement = document.querySelector('#ar-fps');
-    
-    // Setup FPS tracking in render loop
+
+    // Touch gestures: tap to select, drag to move, twist to rotate, pinch to scale
+    this.gestures = new TouchGestureControls(this.renderer);
+    this.gestures.onSelect = (object) => {
+      console.log(object ? '👆 Model selected' : '👆 Selection cleared');
+    };
+    this.gestures.onChange = (object) => {
+      const pos = object.position;
+      console.log(`✋ Model moved to (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)}), scale ${object.scale.x.toFixed(2)}`);
+    };
+
+    // Setup FPS tracking and placement status in render loop
     this.renderer.onFrame = (time, renderer) => {
       this.updateFPS();
+      this.gestures.update();
+      this.updatePlacementStatus();
     };
 
-    // EXACT same double-tap handler as boy-model.html
+    // Double tap to place the selected model (same as boy-model.html)
     this.renderer.domContainer.ondblclick = (event) => {
-      console.log(`🖱️ Tap! Cursor:${this.cursor.visible} Model:${this.modelLoaded}`);
-
-      if (!this.modelLoaded) {
-        console.log('⚠️ Model loading...');
+      // Ignore double taps on the picker and other overlay buttons
+      if (event.target.closest && event.target.closest('button')) {
         return;
       }
 
-      if (!this.cursor.visible) {
-        console.log('⚠️ Find surface first!');
+      // Ignore the double taps of a gesture (selecting, dragging or scaling a model)
+      if (this.gestures.isGestureActive()) {
         return;
       }
 
-      if (this.cursor.visible && this.boyModel) {
-        // Deep clone for GLTF models
-        let modelClone = this.boyModel.clone(true);
-        modelClone.position.copy(this.cursor.position);
-        modelClone.position.y += 0.05;
+      this.placeModel();
+    };
 
-        this.renderer.scene.add(modelClone);
-        this.placedCount++;
+    console.log('✅ AR Renderer setup complete');
+  }
 
-        const pos = modelClone.position;
-        console.log(`✅ PLACED #${this.placedCount} at (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})`);
-      }
-    };
+  async setupModelPicker() {
+    try {
+      await this.catalog.load();
+    } catch (error) {
+      console.error(`❌ ERROR: ${error.message}`);
+      return;
+    }
 
-    console.log('✅ AR Renderer setup complete (boy-model.html)');
+    this.picker = new ModelPicker(this.uiOverlay.querySelector('.bottom-ui'), this.catalog, (entry) => {
+      this.selectModel(entry);
+    });
+    this.picker.render();
+
+    // Select the first model of the catalog by default
+    if (this.catalog.models.length > 0) {
+      this.picker.select(this.catalog.models[0].id);
+    }
   }
 
-  loadBoyModel() {
-    console.log('📦 Loading /models/boy.glb...');
+  async selectModel(entry) {
+    console.log(`📦 Selected ${entry.name}`);
 
-    const loader = new GLTFLoader();
-    loader.load(
-      '/models/boy.glb',
-      (gltf) => {
-        this.boyModel = gltf.scene;
-        this.boyModel.scale.set(0.3, 0.3, 0.3);
+    this.selectedEntry = entry;
+    this.selectedModel = null;
+    this.modelLoaded = false;
 
-        // Setup materials and shadows
-        this.boyModel.traverse((child) => {
-          if (child.isMesh) {
-            child.castShadow = true;
-            child.receiveShadow = true;
-          }
-        });
+    try {
+      const model = await this.catalog.loadModel(entry.id, (percent) => {
+        console.log(`Loading: ${percent}%`);
+      });
 
+      // Ignore if another model was picked while loading
+      if (this.selectedEntry === entry) {
+        this.selectedModel = model;
         this.modelLoaded = true;
-        console.log(`✅ MODEL LOADED! Meshes: ${this.boyModel.children.length}`);
-      },
-      (progress) => {
-        const percent = Math.round((progress.loaded / progress.total) * 100);
-        console.log(`Loading: ${percent}%`);
-      },
-      (error) => {
-        console.error(`❌ ERROR: ${error.message}`);
-        console.error('Full error:', error);
       }
-    );
+    } catch (error) {
+      console.error(`❌ ERROR: ${error.message}`);
+      console.error('Full error:', error);
+    }
+  }
+
+  placeModel() {
+    console.log(`🖱️ Tap! Cursor:${this.cursor.visible} Model:${this.modelLoaded}`);
+
+    if (!this.modelLoaded) {
+      console.log('⚠️ Model loading...');
+      return;
+    }
+
+    if (!this.cursor.visible) {
+      console.log('⚠️ Find surface first!');
+      return;
+    }
+
+    // Deep clone for GLTF models, with its own geometry and materials so it can be disposed
+    let modelClone = this.selectedModel.clone(true);
+    modelClone.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry = child.geometry.clone();
+        child.material = Array.isArray(child.material)
+          ? child.material.map((material) => material.clone())
+          : child.material.clone();
+      }
+    });
+    modelClone.position.copy(this.cursor.position);
+    modelClone.position.y += 0.05;
+
+    // Keep the shadow plane on the surface the models stand on
+    this.shadowPlane.position.copy(this.cursor.position);
+    this.shadowPlane.follow = false;
+
+    this.renderer.scene.add(modelClone);
+    this.gestures.add(modelClone);
+    this.placedModels.push(modelClone);
+    this.placedCount++;
+    this.updateModelCount();
+
+    const pos = modelClone.position;
+    console.log(`✅ PLACED #${this.placedCount} ${this.selectedEntry.name} at (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})`);
+
+    // Anchor the clone so it stays put as tracking refines
+    this.renderer.createAnchor(modelClone)
+      .then(() => console.log('⚓ Model anchored'))
+      .catch((error) => console.warn('⚠️ Anchor not created, model placed without anchor:', error.message));
+  }
+
+  // Remove and dispose all placed clones
+  reset() {
+    console.log(`🧹 Removing ${this.placedModels.length} placed models`);
+
+    this.placedModels.forEach((model) => {
+      if (this.renderer) {
+        this.renderer.removeAnchor(model);
+        this.renderer.scene.remove(model);
+      }
+
+      // Geometry and materials are owned by the clone (see placeModel), textures stay shared with the catalog template
+      model.traverse((child) => {
+        if (child.isMesh) {
+          child.geometry.dispose();
+          const materials = Array.isArray(child.material) ? child.material : [child.material];
+          materials.forEach((material) => material.dispose());
+        }
+      });
+    });
+
+    if (this.gestures) {
+      this.gestures.clear();
+    }
+
+    if (this.shadowPlane) {
+      this.shadowPlane.follow = true;
+    }
+
+    this.placedModels = [];
+    this.placedCount = 0;
+    this.updateModelCount();
+  }
+
+  async toggleAR() {
+    if (this.isARActive) {
+      await this.stopAR();
+    } else {
+      await this.startAR();
+    }
   }
 
   async startAR() {
-    console.log('🚀 Starting AR (boy-model.html)...');
+    await this.ready;
+    if (!this.renderer || this.isARActive) {
+      return;
+    }
+
+    console.log('🚀 Starting AR...');
+    this.arButton.disabled = true;
+    this.setStatus('Starting AR...');
+
+    // The UI is moved into the DOM overlay container so it stays visible in the XR session
+    this.renderer.domContainer.appendChild(this.uiOverlay);
+
     try {
       await this.renderer.start();
       this.isARActive = true;
+
+      // The session can also be ended by the system (e.g. back button)
+      this.renderer.xrSession.addEventListener('end', () => this.onSessionEnd());
+
+      this.arButton.textContent = 'Stop AR';
+      this.statusMessage = null;
       console.log('✅ AR started! Double-tap to place.');
     } catch (error) {
       console.error('❌ Failed to start AR:', error);
+
+      // Renderer adds the overlay container to the body before requesting the session
+      if (this.renderer.domContainer.parentElement) {
+        this.renderer.domContainer.parentElement.removeChild(this.renderer.domContainer);
+      }
+      this.arMode.insertBefore(this.uiOverlay, this.sceneContainer);
+      this.setStatus(`Failed to start AR: ${error.message}`);
     }
+
+    this.arButton.disabled = false;
   }
 
   async stopAR() {
     console.log('⏹️ Stopping AR');
     try {
       await this.renderer.stop();
-      this.isARActive = false;
+      this.onSessionEnd();
       console.log('✅ AR stopped');
     } catch (error) {
       console.error('❌ Error stopping AR:', error);
     }
   }
 
+  onSessionEnd() {
+    if (!this.isARActive) {
+      return;
+    }
+
+    this.isARActive = false;
+    this.gestures.select(null);
+    this.arMode.insertBefore(this.uiOverlay, this.sceneContainer);
+    this.arButton.textContent = 'Start AR';
+    this.setStatus('AR stopped');
+  }
+
+  updatePlacementStatus() {
+    if (!this.modelLoaded) {
+      this.setStatus('Loading model...');
+    } else if (this.cursor.visible) {
+      this.setStatus('Ready to place - double-tap');
+    } else {
+      this.setStatus('Searching for surface...');
+    }
+  }
+
+  setStatus(message) {
+    // Only touch the DOM when the message changes (called every frame)
+    if (this.statusMessage === message) {
+      return;
+    }
+
+    this.statusMessage = message;
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+    }
+  }
+
+  updateModelCount() {
+    if (this.modelCountElement) {
+      this.modelCountElement.textContent = `Models: ${this.placedModels.length}`;
+    }
+  }
+
   updateFPS() {
     this.frameCount++;
     const now = performance.now();
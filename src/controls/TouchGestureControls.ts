@@ -0,0 +1,504 @@
+import {Object3D, Vector2, Vector3, Matrix4, Plane, Raycaster, BoxHelper} from "three";
+import {ARRenderer} from "../ARRenderer";
+import {EventManager} from "../utils/EventManager";
+
+/**
+ * Touch gesture controls allow the user to manipulate objects placed in the AR scene.
+ * 
+ * Gestures supported:
+ *  - Tap on an object to select it (the selected object is outlined), tap elsewhere to deselect.
+ *  - Drag with one finger to move the selected object along the real-world surfaces under the finger (hit test or detected planes), it can move from a surface to another (e.g. from a table to the floor).
+ *  - Twist with two fingers to rotate the selected object around its vertical axis.
+ *  - Pinch with two fingers to scale the selected object within the scale limits.
+ * 
+ * Touch events are captured in the DOM container of the renderer, config.domOverlay must be enabled. Touches that start on buttons are ignored.
+ * 
+ * Moved objects are anchored again at their new position when the gesture ends.
+ * 
+ * The touches of a gesture also generate click and dblclick events, use isGestureActive() to ignore them.
+ */
+export class TouchGestureControls
+{
+	/**
+	 * AR renderer used to raycast and anchor objects.
+	 */
+	public renderer: ARRenderer;
+
+	/**
+	 * Objects that can be selected and manipulated.
+	 */
+	public objects: Object3D[] = [];
+
+	/**
+	 * Object currently selected, null if no object is selected.
+	 */
+	public selected: Object3D = null;
+
+	/**
+	 * Outline drawn around the selected object.
+	 */
+	public outline: BoxHelper;
+
+	/**
+	 * Minimum scale relative to the scale of the object when it was added.
+	 */
+	public minScale: number = 0.5;
+
+	/**
+	 * Maximum scale relative to the scale of the object when it was added.
+	 */
+	public maxScale: number = 3.0;
+
+	/**
+	 * Maximum movement in pixels for a touch to be considered a tap.
+	 */
+	public tapThreshold: number = 10;
+
+	/**
+	 * Detected planes (e.g. a PlaneTracker) used to drag objects when the hit test has no result under the finger.
+	 * 
+	 * Without hit test results or planes objects are dragged on a horizontal plane at their current height.
+	 */
+	public planes: Object3D = null;
+
+	/**
+	 * Minimum Y component of a surface normal for objects to be placed on it (horizontal surfaces).
+	 */
+	public minSurfaceNormal: number = 0.7;
+
+	/**
+	 * Time in milliseconds after a gesture during which it is still considered active, covers the dblclick event of its touches.
+	 */
+	public gestureTimeout: number = 500;
+
+	/**
+	 * If true objects are anchored again after being moved.
+	 */
+	public anchor: boolean = true;
+
+	/**
+	 * Callback called when the selected object changes.
+	 */
+	public onSelect: (object: Object3D) => void = null;
+
+	/**
+	 * Callback called when an object was moved, rotated or scaled by a gesture.
+	 */
+	public onChange: (object: Object3D) => void = null;
+
+	/**
+	 * Event manager used to manage touch events.
+	 */
+	public event: EventManager = new EventManager();
+
+	/**
+	 * Scale of the objects when they were added, used for the scale limits.
+	 */
+	private baseScales: Map<Object3D, Vector3> = new Map();
+
+	/**
+	 * Position of the first touch when the gesture started.
+	 */
+	private touchStart: Vector2 = new Vector2();
+
+	/**
+	 * Indicates if the gesture can still be a tap.
+	 */
+	private tap: boolean = false;
+
+	/**
+	 * Indicates if the selected object is being dragged.
+	 */
+	private dragging: boolean = false;
+
+	/**
+	 * Indicates if the object was changed during the current gesture.
+	 */
+	private changed: boolean = false;
+
+	/**
+	 * Point of the screen being dragged (-1 to 1), applied on the next update when hit test results are available.
+	 */
+	private dragPoint: Vector2 = null;
+
+	/**
+	 * Time of the last touch used by a gesture (tap on an object, drag, twist or pinch).
+	 */
+	private lastGestureTime: number = -Infinity;
+
+	/**
+	 * Horizontal plane at the base of the dragged object, fallback when no surface is found under the finger.
+	 */
+	private dragPlane: Plane = new Plane(new Vector3(0, 1, 0), 0);
+
+	/**
+	 * Horizontal offset between the dragged point and the position of the object.
+	 */
+	private dragOffset: Vector3 = new Vector3();
+
+	/**
+	 * Distance and angle between touches and scale/rotation of the object when the two finger gesture started.
+	 */
+	private pinchDistance: number = 0;
+	private pinchAngle: number = 0;
+	private pinchScale: number = 1;
+	private pinchRotation: number = 0;
+
+	public constructor(renderer: ARRenderer)
+	{
+		this.renderer = renderer;
+
+		this.outline = new BoxHelper(undefined, 0xFFFF00);
+		this.outline.visible = false;
+		this.outline.userData.depthOcclusion = false;
+		this.renderer.scene.add(this.outline);
+
+		const container = this.renderer.domContainer;
+		this.event.add(container, "touchstart", (event: TouchEvent) => {this.onTouchStart(event);});
+		this.event.add(container, "touchmove", (event: TouchEvent) => {this.onTouchMove(event);});
+		this.event.add(container, "touchend", (event: TouchEvent) => {this.onTouchEnd(event);});
+		this.event.add(container, "touchcancel", (event: TouchEvent) => {this.onTouchEnd(event);});
+		this.event.create();
+	}
+
+	/**
+	 * Add an object that can be manipulated.
+	 * 
+	 * @param object - Object placed in the scene.
+	 */
+	public add(object: Object3D): void
+	{
+		this.objects.push(object);
+		this.baseScales.set(object, object.scale.clone());
+	}
+
+	/**
+	 * Remove an object from the controls, deselecting it if necessary.
+	 * 
+	 * @param object - Object to remove.
+	 */
+	public remove(object: Object3D): void
+	{
+		const index = this.objects.indexOf(object);
+		if (index !== -1)
+		{
+			this.objects.splice(index, 1);
+		}
+
+		this.baseScales.delete(object);
+
+		if (this.selected === object)
+		{
+			this.select(null);
+		}
+	}
+
+	/**
+	 * Remove all objects from the controls.
+	 */
+	public clear(): void
+	{
+		this.objects = [];
+		this.baseScales.clear();
+		this.select(null);
+	}
+
+	/**
+	 * Select an object, the object is outlined.
+	 * 
+	 * @param object - Object to select, null to deselect.
+	 */
+	public select(object: Object3D): void
+	{
+		if (this.selected === object)
+		{
+			return;
+		}
+
+		this.selected = object;
+		this.outline.visible = object !== null;
+
+		if (object)
+		{
+			this.outline.setFromObject(object);
+		}
+
+		if (this.onSelect)
+		{
+			this.onSelect(object);
+		}
+	}
+
+	/**
+	 * Indicates if a gesture is in progress or just ended.
+	 * 
+	 * Used to ignore the dblclick events generated by the taps of a gesture (e.g. double tap placement).
+	 */
+	public isGestureActive(): boolean
+	{
+		return this.dragging || this.pinchDistance > 0 || performance.now() - this.lastGestureTime < this.gestureTimeout;
+	}
+
+	/**
+	 * Move the dragged object and update the outline of the selected object, should be called every frame.
+	 */
+	public update(): void
+	{
+		if (this.dragging && this.dragPoint)
+		{
+			const surface = this.findSurface(this.dragPoint);
+			if (surface)
+			{
+				this.beginChange();
+				this.selected.position.set(surface.x + this.dragOffset.x, surface.y, surface.z + this.dragOffset.z);
+			}
+			this.dragPoint = null;
+		}
+
+		if (this.selected)
+		{
+			this.outline.update();
+		}
+	}
+
+	/**
+	 * Remove the events and the outline from the scene.
+	 */
+	public dispose(): void
+	{
+		this.event.clear();
+		this.renderer.scene.remove(this.outline);
+		this.outline.geometry.dispose();
+	}
+
+	/**
+	 * Get the object selectable under a point of the screen.
+	 * 
+	 * @param point - Point in screen space from -1 to 1.
+	 */
+	private pick(point: Vector2): Object3D
+	{
+		let closest: Object3D = null;
+		let distance = Infinity;
+
+		for (let i = 0; i < this.objects.length; i++)
+		{
+			const intersections = this.renderer.raycast(point, this.objects[i]);
+			if (intersections.length > 0 && intersections[0].distance < distance)
+			{
+				distance = intersections[0].distance;
+				closest = this.objects[i];
+			}
+		}
+
+		return closest;
+	}
+
+	/**
+	 * Find the horizontal surface under a point of the screen.
+	 * 
+	 * Uses the hit test result of the touch, then the detected planes, and the drag plane at the height of the object as fallback.
+	 * 
+	 * @param point - Point in screen space from -1 to 1.
+	 * @returns Point on the surface, null if none was found.
+	 */
+	private findSurface(point: Vector2): Vector3
+	{
+		const matrix = new Matrix4();
+		const normal = new Vector3();
+		const results = this.renderer.xrTransientHitTestResults;
+
+		for (let i = 0; i < results.length; i++)
+		{
+			const pose = results[i].getPose(this.renderer.xrReferenceSpace);
+			if (!pose)
+			{
+				continue;
+			}
+
+			// Y axis of the hit pose is the surface normal
+			matrix.fromArray(pose.transform.matrix);
+			if (normal.setFromMatrixColumn(matrix, 1).normalize().y >= this.minSurfaceNormal)
+			{
+				return new Vector3().setFromMatrixPosition(matrix);
+			}
+		}
+
+		if (this.planes)
+		{
+			const intersections = this.renderer.raycast(point, this.planes);
+			for (let i = 0; i < intersections.length; i++)
+			{
+				const face = intersections[i].face;
+				if (face && normal.copy(face.normal).transformDirection(intersections[i].object.matrixWorld).y >= this.minSurfaceNormal)
+				{
+					return intersections[i].point;
+				}
+			}
+		}
+
+		return this.intersectDragPlane(point, new Vector3());
+	}
+
+	/**
+	 * Intersect the ray under a point of the screen with the drag plane.
+	 * 
+	 * @param point - Point in screen space from -1 to 1.
+	 * @param target - Vector to store the result.
+	 * @returns The intersection point, null if the ray does not intersect the plane.
+	 */
+	private intersectDragPlane(point: Vector2, target: Vector3): Vector3
+	{
+		const raycaster = new Raycaster();
+		raycaster.setFromCamera(point, this.renderer.camera);
+
+		return raycaster.ray.intersectPlane(this.dragPlane, target);
+	}
+
+	/**
+	 * Convert the position of a touch into screen space from -1 to 1.
+	 * 
+	 * @param touch - Touch object.
+	 */
+	private toScreen(touch: Touch): Vector2
+	{
+		return new Vector2(touch.clientX / window.innerWidth * 2 - 1, -(touch.clientY / window.innerHeight) * 2 + 1);
+	}
+
+	private onTouchStart(event: TouchEvent): void
+	{
+		if (event.target instanceof HTMLElement && event.target.closest("button"))
+		{
+			return;
+		}
+
+		if (event.touches.length === 1)
+		{
+			const touch = event.touches[0];
+			this.touchStart.set(touch.clientX, touch.clientY);
+			this.tap = true;
+			this.changed = false;
+
+			// Start dragging if the touch is over the selected object
+			const point = this.toScreen(touch);
+			if (this.selected && this.pick(point) === this.selected)
+			{
+				this.dragPlane.set(new Vector3(0, 1, 0), -this.selected.position.y);
+
+				const intersection = this.intersectDragPlane(point, new Vector3());
+				if (intersection)
+				{
+					// Only the horizontal offset is kept, the height comes from the surface
+					this.dragOffset.subVectors(this.selected.position, intersection).setY(0);
+					this.dragging = true;
+				}
+			}
+		}
+		else if (event.touches.length === 2 && this.selected)
+		{
+			const a = event.touches[0];
+			const b = event.touches[1];
+
+			this.tap = false;
+			this.dragging = false;
+			this.pinchDistance = Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY);
+			this.pinchAngle = Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX);
+			this.pinchScale = this.selected.scale.x / this.baseScales.get(this.selected).x;
+			this.pinchRotation = this.selected.rotation.y;
+		}
+	}
+
+	private onTouchMove(event: TouchEvent): void
+	{
+		if (event.touches.length === 1)
+		{
+			const touch = event.touches[0];
+			if (Math.hypot(touch.clientX - this.touchStart.x, touch.clientY - this.touchStart.y) > this.tapThreshold)
+			{
+				this.tap = false;
+			}
+
+			// Applied on the next update, with the hit test results of the touch
+			if (this.dragging && !this.tap)
+			{
+				this.dragPoint = this.toScreen(touch);
+				this.lastGestureTime = performance.now();
+			}
+		}
+		else if (event.touches.length === 2 && this.selected && this.pinchDistance > 0)
+		{
+			const a = event.touches[0];
+			const b = event.touches[1];
+
+			const distance = Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY);
+			const angle = Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX);
+
+			this.beginChange();
+			this.lastGestureTime = performance.now();
+
+			// Screen Y points down, clockwise twist rotates the object clockwise seen from above
+			this.selected.rotation.y = this.pinchRotation - (angle - this.pinchAngle);
+
+			const scale = Math.min(this.maxScale, Math.max(this.minScale, this.pinchScale * distance / this.pinchDistance));
+			this.selected.scale.copy(this.baseScales.get(this.selected)).multiplyScalar(scale);
+		}
+	}
+
+	private onTouchEnd(event: TouchEvent): void
+	{
+		// Still touching with one finger after a pinch, wait until all touches end
+		if (event.touches.length > 0)
+		{
+			this.pinchDistance = 0;
+			return;
+		}
+
+		if (this.tap)
+		{
+			const touch = event.changedTouches[0];
+			const object = this.pick(this.toScreen(touch));
+			if (object)
+			{
+				this.lastGestureTime = performance.now();
+			}
+			this.select(object);
+		}
+		else if (this.changed && this.selected)
+		{
+			if (this.anchor && this.renderer.xrSession)
+			{
+				this.renderer.createAnchor(this.selected, false).catch(() => {});
+			}
+
+			if (this.onChange)
+			{
+				this.onChange(this.selected);
+			}
+		}
+
+		if (this.changed)
+		{
+			this.lastGestureTime = performance.now();
+		}
+
+		this.tap = false;
+		this.dragging = false;
+		this.dragPoint = null;
+		this.changed = false;
+		this.pinchDistance = 0;
+	}
+
+	/**
+	 * Called before the selected object is changed by a gesture.
+	 * 
+	 * The anchor of the object is removed, otherwise it would override the new position.
+	 */
+	private beginChange(): void
+	{
+		if (!this.changed)
+		{
+			this.renderer.removeAnchor(this.selected);
+			this.changed = true;
+		}
+	}
+}
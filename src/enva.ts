@@ -1,4 +1,14 @@
 export {Cursor} from "./object/Cursor";
+export {PlaneTracker} from "./object/PlaneTracker";
+export {LightEstimation} from "./object/LightEstimation";
+export {TrackedImage} from "./object/TrackedImage";
+export {ShadowPlane} from "./object/ShadowPlane";
+
+export {DepthDataTexture} from "./texture/DepthDataTexture";
+export {DepthCanvasTexture} from "./texture/DepthCanvasTexture";
+export {DepthOcclusion} from "./material/DepthOcclusion";
+
+export {TouchGestureControls} from "./controls/TouchGestureControls";
 
 export {EventManager} from './utils/EventManager';
 
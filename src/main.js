@@ -1,4 +1,6 @@
 // Mode Manager - Handles switching between AR and Pose Detection modes
+import { CAMERA_SETTINGS, parseSettings, setSetting, settingsQuery, listCameras } from './pose/pose-settings.js';
+
 class ModeManager {
   constructor() {
     this.modeSelector = document.querySelector('#mode-selector');
@@ -12,17 +14,90 @@ class ModeManager {
     this.eighthwallARBtn = document.querySelector('#eighthwall-ar-btn');
     this.mediaPipeBtn = document.querySelector('#mediapipe-btn');
     this.moveNetBtn = document.querySelector('#movenet-btn');
+    this.moveNetMultiBtn = document.querySelector('#movenet-multi-btn');
+    this.replayBtn = document.querySelector('#replay-btn');
+    this.replayInput = document.querySelector('#replay-file-input');
+    this.handsBtn = document.querySelector('#hands-btn');
+    this.settingsBtn = document.querySelector('#settings-btn');
+    this.settingsPanel = document.querySelector('#pose-settings');
+    this.cameraSelect = document.querySelector('#camera-select');
+    this.switchCameraBtn = document.querySelector('#switch-camera-btn');
+    this.videoFileBtn = document.querySelector('#video-file-btn');
+    this.videoFileInput = document.querySelector('#video-file-input');
     this.backToMainARBtn = document.querySelector('#back-to-main-ar-btn');
     this.backToMainPoseBtn = document.querySelector('#back-to-main-pose-btn');
     this.backToSelectorBtn = document.querySelector('#back-to-selector');
+    this.backFromARBtn = document.querySelector('#back-to-main-from-ar-btn');
 
     this.arController = null;
     this.poseController = null;
     this.currentMode = null;
     this.currentPoseEngine = null;
+    this.currentPoseArgs = [];
     this.currentAREngine = null;
     this.switching = false;
 
+    // Detector and camera settings from the URL, kept across engine switches
+    this.poseSettings = parseSettings();
+
+    // Video file analyzed instead of the camera (null for the camera), kept across engine switches
+    this.videoSource = null;
+
+    // Hand tracking next to the body engine, kept across engine switches
+    this.handsEnabled = false;
+
+    // Optional pose analyzers toggled from the pose controls, kept across engine switches
+    this.poseTools = {
+      lift: {
+        button: document.querySelector('#lift-check-btn'),
+        label: 'Lift Check',
+        load: () => import('./pose/lift-assessment.js'),
+        analyzer: null,
+        enabled: false
+      },
+      ergonomics: {
+        button: document.querySelector('#ergonomics-btn'),
+        exportButton: document.querySelector('#ergonomics-export-btn'),
+        label: 'RULA/REBA',
+        load: () => import('./pose/ergonomic-scoring.js'),
+        analyzer: null,
+        enabled: false
+      },
+      reps: {
+        button: document.querySelector('#rep-counter-btn'),
+        select: document.querySelector('#rep-drill-select'),
+        onSelect: (analyzer, drill) => analyzer.setDrill(drill),
+        label: 'Reps',
+        load: () => import('./pose/rep-counter.js'),
+        analyzer: null,
+        enabled: false
+      },
+      compare: {
+        button: document.querySelector('#compare-btn'),
+        panel: document.querySelector('#compare-controls'),
+        label: 'Compare',
+        load: () => import('./pose/motion-comparison.js'),
+        analyzer: null,
+        enabled: false
+      },
+      recorder: {
+        button: document.querySelector('#recorder-btn'),
+        panel: document.querySelector('#recorder-controls'),
+        label: 'Session Rec',
+        load: () => import('./pose/session-recorder.js'),
+        analyzer: null,
+        enabled: false
+      },
+      keypointLog: {
+        button: document.querySelector('#keypoint-log-btn'),
+        panel: document.querySelector('#keypoint-log-controls'),
+        label: 'Log',
+        load: () => import('./pose/keypoint-logger.js'),
+        analyzer: null,
+        enabled: false
+      }
+    };
+
     this.init();
   }
 
@@ -39,9 +114,52 @@ class ModeManager {
     this.eighthwallARBtn.addEventListener('click', () => this.startEighthWallAR());
     this.mediaPipeBtn.addEventListener('click', () => this.startMediaPipePose());
     this.moveNetBtn.addEventListener('click', () => this.startMoveNetPose());
+    this.moveNetMultiBtn.addEventListener('click', () => this.startMoveNetMultiPose());
+    this.handsBtn.addEventListener('click', () => this.toggleHands());
+    this.settingsBtn.addEventListener('click', () => this.toggleSettings());
+    this.switchCameraBtn.addEventListener('click', () => this.switchCamera());
+    this.videoFileBtn.addEventListener('click', () => {
+      if (this.videoSource) {
+        this.setVideoSource(null);
+      } else {
+        this.videoFileInput.click();
+      }
+    });
+    this.videoFileInput.addEventListener('change', () => {
+      const file = this.videoFileInput.files[0];
+      this.videoFileInput.value = '';
+      if (file) {
+        this.setVideoSource(file);
+      }
+    });
+    this.bindSettings();
+    this.replayBtn.addEventListener('click', () => this.replayInput.click());
+    this.replayInput.addEventListener('change', () => {
+      const files = Array.from(this.replayInput.files);
+      this.replayInput.value = '';
+      if (files.length > 0) {
+        this.startReplay(files);
+      }
+    });
     this.backToMainARBtn.addEventListener('click', () => this.showModeSelector());
     this.backToMainPoseBtn.addEventListener('click', () => this.showModeSelector());
     this.backToSelectorBtn.addEventListener('click', () => this.showModeSelector());
+    this.backFromARBtn.addEventListener('click', () => this.showModeSelector());
+
+    Object.keys(this.poseTools).forEach((name) => {
+      const tool = this.poseTools[name];
+      tool.button.addEventListener('click', () => this.togglePoseTool(name));
+
+      // Export what the analyzer recorded
+      if (tool.exportButton) {
+        tool.exportButton.addEventListener('click', () => tool.analyzer && tool.analyzer.export());
+      }
+
+      // Analyzer option (e.g. rep counter drill)
+      if (tool.select) {
+        tool.select.addEventListener('change', () => tool.analyzer && tool.onSelect(tool.analyzer, tool.select.value));
+      }
+    });
   }
 
   async showModeSelector() {
@@ -122,7 +240,7 @@ class ModeManager {
     }
 
     this.switching = true;
-    console.log('🔷 Opening boy-model.html...');
+    console.log('🔷 Starting Three.js WebXR AR');
 
     // CRITICAL: Ensure pose detection is fully stopped
     if (this.poseController) {
@@ -130,20 +248,80 @@ class ModeManager {
       this.poseController.stop();
       await new Promise(resolve => setTimeout(resolve, 800));
       console.log('✅ Pose cleanup done, WebGL released');
+      this.poseController = null;
+      this.currentPoseEngine = null;
+    }
+
+    // Hide all selectors, show AR mode
+    this.modeSelector.classList.add('hidden');
+    this.arEngineSelector.classList.add('hidden');
+    this.poseEngineSelector.classList.add('hidden');
+    this.poseMode.classList.add('hidden');
+    this.arMode.classList.remove('hidden');
+    this.currentMode = 'ar';
+    this.currentAREngine = 'threejs';
+
+    // Create the AR controller once, it is reused when coming back to AR mode
+    // The session is started with the Start AR button (requires a user gesture)
+    try {
+      if (!this.arController) {
+        console.log('🔧 Creating ThreeJSARController...');
+        const { default: ThreeJSARController } = await import('./ar/threejs-ar-controller.js');
+        this.arController = new ThreeJSARController();
+      }
+    } catch (error) {
+      console.error('❌ Error initializing AR:', error);
+      const status = document.querySelector('#status');
+      if (status) {
+        status.textContent = 'Error loading AR';
+      }
     }
 
-    // Simply navigate to boy-model.html
-    window.location.href = '/example/boy-model.html';
+    this.switching = false;
+    console.log('✅ Three.js AR mode ready');
   }
 
-  async startMediaPipePose() {
+  startMediaPipePose() {
+    return this.startPoseEngine('mediapipe');
+  }
+
+  startMoveNetPose() {
+    return this.startPoseEngine('movenet');
+  }
+
+  startMoveNetMultiPose() {
+    return this.startPoseEngine('movenet', [{ multiPose: true }]);
+  }
+
+  // Replay a session recording, with its video if selected too
+  startReplay(files) {
+    const recordingFile = files.find((file) => file.name.toLowerCase().endsWith('.json'));
+    const videoFile = files.find((file) => file.type.startsWith('video/')) || null;
+
+    if (!recordingFile) {
+      console.error('❌ No recording (.json) selected');
+      return;
+    }
+
+    return this.startPoseEngine('replay', [recordingFile, videoFile]);
+  }
+
+  // All engines share the PoseEngine interface (start, stop, onPose)
+  async startPoseEngine(engine, args = []) {
     if (this.switching) {
       console.log('⚠️ Already switching modes, please wait...');
       return;
     }
 
+    const engines = {
+      mediapipe: { label: 'MediaPipe', load: () => import('./pose/pose-detection.js') },
+      movenet: { label: 'MoveNet', load: () => import('./pose/movenet-detection.js') },
+      replay: { label: 'Replay', load: () => import('./pose/replay-engine.js') }
+    };
+    const { label, load } = engines[engine];
+
     this.switching = true;
-    console.log('🔮 Starting MediaPipe Pose Detection');
+    console.log(`🎯 Starting ${label} Pose Detection`);
 
     // CRITICAL: Ensure AR is fully stopped
     if (this.arController && this.arController.isARActive) {
@@ -159,77 +337,233 @@ class ModeManager {
     this.arMode.classList.add('hidden');
     this.poseMode.classList.remove('hidden');
     this.currentMode = 'pose';
-    this.currentPoseEngine = 'mediapipe';
+    this.currentPoseEngine = engine;
+    this.currentPoseArgs = args;
 
-    // Initialize MediaPipe pose detection controller
+    // Initialize pose detection controller
     try {
-      console.log('🔧 Creating MediaPipe PoseDetectionController...');
-      const { default: PoseDetectionController } = await import('./pose/pose-detection.js');
-      this.poseController = new PoseDetectionController();
-
-      // Update status text
-      const statusText = document.querySelector('#pose-status-text');
-      if (statusText) {
-        statusText.textContent = 'Initializing MediaPipe...';
+      console.log(`🔧 Creating ${label} controller...`);
+      const { default: PoseController } = await load();
+      this.poseController = new PoseController(...args);
+      await this.poseController.applySettings(this.poseSettings);
+
+      // Replays bring their own video
+      if (this.videoSource && engine !== 'replay') {
+        this.poseController.setVideoSource(this.videoSource);
       }
+
+      Object.values(this.poseTools).forEach((tool) => this.applyPoseTool(this.poseController, tool));
+      this.applyHandTracking(this.poseController);
+
+      // Detection keeps running in the background, don't block mode switching
+      // Camera names are known once the camera permission was granted
+      this.poseController.start().then(() => this.updateCameraList());
     } catch (error) {
-      console.error('❌ Error initializing MediaPipe:', error);
+      console.error(`❌ Error initializing ${label}:`, error);
       const statusText = document.querySelector('#pose-status-text');
       if (statusText) {
-        statusText.textContent = 'Error loading MediaPipe';
+        statusText.textContent = `Error loading ${label}`;
       }
     }
 
     this.switching = false;
-    console.log('✅ MediaPipe pose detection mode ready');
+    console.log(`✅ ${label} pose detection mode ready`);
   }
 
-  async startMoveNetPose() {
-    if (this.switching) {
-      console.log('⚠️ Already switching modes, please wait...');
-      return;
+  toggleSettings() {
+    const open = this.settingsPanel.classList.toggle('hidden') === false;
+    this.settingsBtn.classList.toggle('active', open);
+  }
+
+  // Settings panel inputs (data-setting), changes are applied to the running engine and kept in the URL
+  bindSettings() {
+    this.showSettings();
+
+    this.settingsPanel.querySelectorAll('[data-setting]').forEach((input) => {
+      const key = input.dataset.setting;
+
+      input.addEventListener('change', () => {
+        if (CAMERA_SETTINGS.includes(key) && this.isCameraLocked()) {
+          this.showSettings();
+          return;
+        }
+
+        const text = input.type === 'checkbox' ? String(input.checked) : input.value;
+        if (!setSetting(this.poseSettings, key, text)) {
+          console.warn(`⚠️ Invalid ${key} setting "${text}"`);
+          this.showSettings();
+          return;
+        }
+        console.log(`⚙️ ${key} set to ${this.poseSettings[key]}`);
+
+        // Front/rear picks the camera again
+        if (key === 'facing' && this.poseSettings.camera) {
+          this.poseSettings.camera = '';
+          this.showSettings();
+        }
+        this.saveSettings();
+      });
+    });
+
+    if (navigator.mediaDevices) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this.updateCameraList());
     }
+  }
 
-    this.switching = true;
-    console.log('⚡ Starting MoveNet Pose Detection');
+  // Show the current settings in the panel inputs
+  showSettings() {
+    this.settingsPanel.querySelectorAll('[data-setting]').forEach((input) => {
+      const value = this.poseSettings[input.dataset.setting];
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value !== null ? value : '';
+      }
+    });
+  }
 
-    // CRITICAL: Ensure AR is fully stopped
-    if (this.arController && this.arController.isARActive) {
-      console.log('🛑 Force stopping AR before pose detection...');
-      await this.arController.stopAR();
-      await new Promise(resolve => setTimeout(resolve, 500));
-      console.log('✅ AR cleanup done, WebGL released');
+  // Keep the settings in the URL and apply them to the running engine
+  saveSettings() {
+    window.history.replaceState(null, '', `${window.location.pathname}${settingsQuery(this.poseSettings)}${window.location.hash}`);
+
+    if (this.poseController) {
+      this.poseController.applySettings(this.poseSettings);
     }
+  }
 
-    // Hide all selectors, show pose mode
-    this.modeSelector.classList.add('hidden');
-    this.poseEngineSelector.classList.add('hidden');
-    this.arMode.classList.add('hidden');
-    this.poseMode.classList.remove('hidden');
-    this.currentMode = 'pose';
-    this.currentPoseEngine = 'movenet';
+  // Analyze a video file with the current engine (null goes back to the camera)
+  async setVideoSource(file) {
+    if (this.switching || !this.poseController) return;
+
+    this.videoSource = file;
+    this.videoFileBtn.textContent = file ? '📷 Camera' : '🎞️ Video File';
+    this.videoFileBtn.classList.toggle('active', Boolean(file));
+    console.log(file ? `🎞️ Analyzing video ${file.name}` : '📷 Back to the camera');
 
-    // Initialize MoveNet pose detection controller
+    // The engine is restarted on the new source
+    console.log('🛑 Stopping pose detection before switching source...');
+    this.poseController.stop();
+    this.poseController = null;
+    await new Promise(resolve => setTimeout(resolve, 800));
+
+    return this.startPoseEngine(this.currentPoseEngine, this.currentPoseArgs);
+  }
+
+  // Camera can't change while a session is recorded, its video recorder uses the camera stream
+  isCameraLocked() {
+    if (this.poseController && this.poseController.isRecording()) {
+      console.warn('⚠️ Stop the session recording to change the camera');
+      return true;
+    }
+    return false;
+  }
+
+  // Switch between the front and the rear camera
+  switchCamera() {
+    if (this.isCameraLocked()) return;
+
+    this.poseSettings.facing = this.poseSettings.facing === 'user' ? 'environment' : 'user';
+    this.poseSettings.camera = '';
+    console.log(`🔄 Switching to the ${this.poseSettings.facing === 'user' ? 'front' : 'rear'} camera`);
+
+    this.showSettings();
+    this.saveSettings();
+  }
+
+  // Cameras of the camera select, "Auto" picks one by facing
+  async updateCameraList() {
     try {
-      console.log('🔧 Creating MoveNet DetectionController...');
-      const { default: MoveNetDetectionController } = await import('./pose/movenet-detection.js');
-      this.poseController = new MoveNetDetectionController();
+      const cameras = await listCameras();
+      this.cameraSelect.innerHTML = '<option value="">Auto</option>';
+      cameras.forEach((camera) => {
+        const option = document.createElement('option');
+        option.value = camera.deviceId;
+        option.textContent = camera.label;
+        this.cameraSelect.appendChild(option);
+      });
+
+      // Single camera devices have nothing to switch to
+      this.switchCameraBtn.disabled = cameras.length < 2;
+      this.showSettings();
+    } catch (error) {
+      console.error('❌ Error listing cameras:', error);
+    }
+  }
 
-      // Update status text
-      const statusText = document.querySelector('#pose-status-text');
-      if (statusText) {
-        statusText.textContent = 'Initializing MoveNet...';
+  toggleHands() {
+    this.handsEnabled = !this.handsEnabled;
+    this.handsBtn.textContent = `Hands: ${this.handsEnabled ? 'On' : 'Off'}`;
+    this.handsBtn.classList.toggle('active', this.handsEnabled);
+    console.log(`✋ Hand tracking ${this.handsEnabled ? 'enabled' : 'disabled'}`);
+
+    if (this.poseController) {
+      return this.applyHandTracking(this.poseController);
+    }
+  }
+
+  // Each engine gets its own hand tracker, released when the engine stops
+  async applyHandTracking(engine) {
+    try {
+      if (this.handsEnabled) {
+        const { default: HandTracker } = await import('./pose/hand-tracker.js');
+
+        // Hands might have been turned off while the module was loading
+        if (!this.handsEnabled) return;
+        await engine.setHandTracker(new HandTracker());
+      } else {
+        await engine.setHandTracker(null);
       }
     } catch (error) {
-      console.error('❌ Error initializing MoveNet:', error);
-      const statusText = document.querySelector('#pose-status-text');
-      if (statusText) {
-        statusText.textContent = 'Error loading MoveNet';
+      console.error('❌ Error setting up hand tracking:', error);
+      engine.setStatus(`Hand tracking failed: ${error.message}`);
+    }
+  }
+
+  togglePoseTool(name) {
+    const tool = this.poseTools[name];
+    tool.enabled = !tool.enabled;
+    tool.button.textContent = `${tool.label}: ${tool.enabled ? 'On' : 'Off'}`;
+    tool.button.classList.toggle('active', tool.enabled);
+    [tool.exportButton, tool.select, tool.panel].forEach((element) => {
+      if (element) {
+        element.classList.toggle('hidden', !tool.enabled);
       }
+    });
+    console.log(`🧰 ${tool.label} ${tool.enabled ? 'enabled' : 'disabled'}`);
+
+    if (this.poseController) {
+      return this.applyPoseTool(this.poseController, tool);
     }
+  }
 
-    this.switching = false;
-    console.log('✅ MoveNet pose detection mode ready');
+  // Add or remove the analyzer of a tool on a pose engine (loaded the first time it is enabled)
+  async applyPoseTool(engine, tool) {
+    if (!tool.enabled) {
+      if (tool.analyzer) {
+        engine.removeAnalyzer(tool.analyzer);
+      }
+      return;
+    }
+
+    try {
+      if (!tool.analyzer) {
+        const { default: Analyzer } = await tool.load();
+        tool.analyzer = new Analyzer();
+        if (tool.select) {
+          tool.onSelect(tool.analyzer, tool.select.value);
+        }
+        if (tool.panel) {
+          tool.analyzer.bindControls(tool.panel);
+        }
+      }
+
+      // Tool might have been disabled while loading
+      if (tool.enabled) {
+        engine.addAnalyzer(tool.analyzer);
+      }
+    } catch (error) {
+      console.error(`❌ Error loading ${tool.label}:`, error);
+    }
   }
 
   startEighthWallAR() {
@@ -0,0 +1,156 @@
+import {Material, Matrix4, Mesh, Object3D, Vector2} from "three";
+import {ARRenderer} from "../ARRenderer";
+
+/**
+ * Depth occlusion hides virtual objects behind real-world surfaces using the depth data of the XR system.
+ * 
+ * Works by patching the shader of the materials in the scene, the fragment depth is compared against the real-world depth and discarded if the real surface is closer to the camera.
+ * 
+ * Materials with depthTest disabled (e.g. the cursor) are not patched. Objects can opt out by setting userData.depthOcclusion to false.
+ */
+export class DepthOcclusion
+{
+	/**
+	 * Uniforms shared by all the patched materials, updated every frame.
+	 */
+	public uniforms = {
+		uDepthTexture: {value: null},
+		uUvTransform: {value: new Matrix4()},
+		uRawValueToMeters: {value: 0.001},
+		uScreenSize: {value: new Vector2(1, 1)},
+		uOcclusionEnabled: {value: false}
+	};
+
+	/**
+	 * Update uniforms with the depth data of the current frame.
+	 * 
+	 * Occlusion is disabled for the frame if no depth data is available.
+	 * 
+	 * @param renderer - AR renderer with depth sensing and depth texture enabled.
+	 */
+	public update(renderer: ARRenderer): void
+	{
+		const depthData = renderer.depthData;
+
+		this.uniforms.uOcclusionEnabled.value = depthData !== null && renderer.depthTexture !== null;
+		if (!this.uniforms.uOcclusionEnabled.value)
+		{
+			return;
+		}
+
+		this.uniforms.uDepthTexture.value = renderer.depthTexture;
+		this.uniforms.uUvTransform.value.fromArray(depthData.normDepthBufferFromNormView.matrix);
+		this.uniforms.uRawValueToMeters.value = depthData.rawValueToMeters;
+		renderer.renderer.getDrawingBufferSize(this.uniforms.uScreenSize.value);
+	}
+
+	/**
+	 * Disable occlusion and release the reference to the depth texture (e.g. when the XR session ends).
+	 * 
+	 * Patched materials keep using these uniforms, so the same instance can be used again in a new session.
+	 */
+	public reset(): void
+	{
+		this.uniforms.uOcclusionEnabled.value = false;
+		this.uniforms.uDepthTexture.value = null;
+	}
+
+	/**
+	 * Patch the materials of all meshes in the object and its children.
+	 * 
+	 * Materials already patched are skipped, so it can be called every frame.
+	 * 
+	 * @param object - Object to traverse.
+	 */
+	public applyObject(object: Object3D): void
+	{
+		object.traverse((child: Object3D) =>
+		{
+			const mesh = child as Mesh;
+			if (!mesh.isMesh || child.userData.depthOcclusion === false)
+			{
+				return;
+			}
+
+			const materials = mesh.material instanceof Array ? mesh.material : [mesh.material];
+			for (let i = 0; i < materials.length; i++)
+			{
+				this.apply(materials[i]);
+			}
+		});
+	}
+
+	/**
+	 * Patch a material to be occluded by real-world depth.
+	 * 
+	 * Previous onBeforeCompile callbacks of the material are preserved.
+	 * 
+	 * @param material - Material to be patched.
+	 */
+	public apply(material: Material): void
+	{
+		if (!material || material.userData.depthOcclusion || !material.depthTest)
+		{
+			return;
+		}
+
+		const onBeforeCompile = material.onBeforeCompile;
+		const uniforms = this.uniforms;
+
+		material.onBeforeCompile = function(shader, renderer)
+		{
+			onBeforeCompile.call(this, shader, renderer);
+
+			Object.assign(shader.uniforms, uniforms);
+
+			shader.vertexShader = "varying float vOcclusionDepth;\n" + shader.vertexShader.replace(
+				"#include <project_vertex>",
+				"#include <project_vertex>\nvOcclusionDepth = -mvPosition.z;"
+			);
+
+			shader.fragmentShader = DepthOcclusion.fragmentHeader + shader.fragmentShader.replace(
+				"#include <dithering_fragment>",
+				"#include <dithering_fragment>\n" + DepthOcclusion.fragmentTest
+			);
+		};
+
+		material.customProgramCacheKey = (): string => {return "depth-occlusion";};
+		material.userData.depthOcclusion = true;
+		material.needsUpdate = true;
+	}
+
+	/**
+	 * Declarations added to the fragment shader of patched materials.
+	 */
+	public static fragmentHeader: string = `
+		uniform sampler2D uDepthTexture;
+		uniform mat4 uUvTransform;
+		uniform float uRawValueToMeters;
+		uniform vec2 uScreenSize;
+		uniform bool uOcclusionEnabled;
+		varying float vOcclusionDepth;
+
+		float getDepthInMeters(in vec2 uv)
+		{
+			vec2 packedDepth = texture2D(uDepthTexture, uv).ra;
+			return dot(packedDepth, vec2(255.0, 256.0 * 255.0)) * uRawValueToMeters;
+		}
+	`;
+
+	/**
+	 * Occlusion test added at the end of the fragment shader of patched materials.
+	 */
+	public static fragmentTest: string = `
+		if (uOcclusionEnabled)
+		{
+			vec2 viewUv = vec2(gl_FragCoord.x / uScreenSize.x, 1.0 - gl_FragCoord.y / uScreenSize.y);
+			vec2 depthUv = (uUvTransform * vec4(viewUv, 0.0, 1.0)).xy;
+			float depth = getDepthInMeters(depthUv);
+
+			if (depth > 0.0 && depth < vOcclusionDepth)
+			{
+				discard;
+			}
+		}
+	`;
+}
@@ -0,0 +1,24 @@
+import {Object3D, Matrix4} from "three";
+
+/**
+ * Object attached to a XR anchor.
+ * 
+ * The position and orientation of the object are updated every frame from the pose of the anchor.
+ */
+export interface AnchoredObject
+{
+	/**
+	 * Object attached to the anchor, should be a direct child of the scene.
+	 */
+	object: Object3D;
+
+	/**
+	 * XR anchor tracked by the system.
+	 */
+	anchor: XRAnchor;
+
+	/**
+	 * Transform (position and rotation) of the object in the local space of the anchor.
+	 */
+	offset: Matrix4;
+}
@@ -42,7 +42,7 @@ export class Cursor extends Mesh implements ARObject
 
 		if (renderer.xrHitTestSource)
 		{
-			const hitResults: XRHitTestResult[] = frame.getHitTestResults(renderer.xrHitTestSource);
+			const hitResults: XRHitTestResult[] = renderer.xrHitTestResults;
 			if (hitResults.length > 0)
 			{
 				const hit = hitResults[0];
@@ -0,0 +1,142 @@
+import {Group, DirectionalLight, HemisphereLight, LightProbe, WebGLCubeRenderTarget, Texture, Vector3} from "three";
+import {ARRenderer} from "../ARRenderer";
+import {ARObject} from "./ARObject";
+
+/**
+ * Light estimation drives the scene lighting from the XR light probe.
+ * 
+ * The main light source is represented by a directional light, the ambient lighting by a spherical harmonics light probe.
+ * 
+ * If the reflection cube map is available it is used as the environment map of the scene.
+ * 
+ * Until the first estimate is available (or if the device has no light estimation) the object provides default white lights, a hemisphere light and the directional light. Dispatches an "estimationstart" event when the first estimate is applied.
+ */
+export class LightEstimation extends Group implements ARObject
+{
+	public isARObject = true;
+
+	/**
+	 * Directional light representing the main light source.
+	 */
+	public directionalLight: DirectionalLight;
+
+	/**
+	 * Default ambient light, hidden once the light probe provides the ambient lighting.
+	 */
+	public defaultLight: HemisphereLight;
+
+	/**
+	 * Light probe with the spherical harmonics of the ambient lighting.
+	 */
+	public lightProbe: LightProbe;
+
+	/**
+	 * Distance of the directional light to the origin, used for shadow casting.
+	 */
+	public distance: number = 5.0;
+
+	/**
+	 * Environment texture using the XR reflection cube map.
+	 */
+	public environment: Texture = null;
+
+	/**
+	 * Indicates if a light estimate was already applied.
+	 */
+	public estimated: boolean = false;
+
+	/**
+	 * Reflection cube map currently applied to the environment texture.
+	 */
+	private reflectionCubeMap: WebGLTexture = null;
+
+	public constructor()
+	{
+		super();
+
+		this.defaultLight = new HemisphereLight(0xFFFFFF, 0x444444, 1.0);
+		this.defaultLight.position.set(0, 20, 0);
+		this.add(this.defaultLight);
+
+		// Empty until the first estimate, the default light provides the ambient lighting
+		this.lightProbe = new LightProbe();
+		this.add(this.lightProbe);
+
+		this.directionalLight = new DirectionalLight(0xFFFFFF, 1.0);
+		this.directionalLight.position.set(0, this.distance, 0);
+		this.directionalLight.castShadow = true;
+		this.directionalLight.shadow.mapSize.set(1024, 1024);
+		this.directionalLight.shadow.camera.near = 0.1;
+		this.directionalLight.shadow.camera.far = this.distance * 4;
+		this.directionalLight.shadow.camera.left = -3;
+		this.directionalLight.shadow.camera.right = 3;
+		this.directionalLight.shadow.camera.top = 3;
+		this.directionalLight.shadow.camera.bottom = -3;
+		this.add(this.directionalLight);
+	}
+
+	public beforeARUpdate(renderer: ARRenderer, time: number, frame: XRFrame): void 
+	{
+		if (!renderer.config.lightProbe) 
+		{
+			throw Error('XR light probe must be available for LightEstimation object. Check renderer configuration.');
+		}
+
+		if (!renderer.xrLightProbe)
+		{
+			return;
+		}
+
+		// @ts-ignore
+		const estimate = frame.getLightEstimate(renderer.xrLightProbe);
+		if (estimate)
+		{
+			this.lightProbe.sh.fromArray(estimate.sphericalHarmonicsCoefficients);
+
+			// WebXR can return intensities above 1, normalize the color and use the scalar as intensity
+			const intensity = estimate.primaryLightIntensity;
+			const scalar = Math.max(1.0, intensity.x, intensity.y, intensity.z);
+
+			this.directionalLight.color.setRGB(intensity.x / scalar, intensity.y / scalar, intensity.z / scalar);
+			this.directionalLight.intensity = scalar;
+
+			const direction = estimate.primaryLightDirection;
+			this.directionalLight.position.copy(new Vector3(direction.x, direction.y, direction.z).normalize().multiplyScalar(this.distance));
+
+			if (!this.estimated)
+			{
+				this.estimated = true;
+				this.defaultLight.visible = false;
+				this.dispatchEvent({type: "estimationstart"});
+			}
+		}
+
+		if (renderer.xrReflectionCubeMap && renderer.xrReflectionCubeMap !== this.reflectionCubeMap)
+		{
+			this.updateEnvironment(renderer);
+		}
+	}
+
+	/**
+	 * Apply the reflection cube map of the XR system as the environment map of the scene.
+	 * 
+	 * @param renderer - AR renderer with reflection cube map enabled.
+	 */
+	private updateEnvironment(renderer: ARRenderer): void
+	{
+		// Render target is the simplest way to get a cube texture initialized by three.js
+		if (!this.environment)
+		{
+			this.environment = new WebGLCubeRenderTarget(16).texture;
+		}
+
+		const properties = renderer.renderer.properties.get(this.environment);
+		properties.__webglTexture = renderer.xrReflectionCubeMap;
+
+		// @ts-ignore
+		this.environment.needsPMREMUpdate = true;
+		this.reflectionCubeMap = renderer.xrReflectionCubeMap;
+
+		renderer.scene.environment = this.environment;
+	}
+}
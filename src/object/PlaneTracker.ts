@@ -0,0 +1,239 @@
+import {Object3D, Mesh, MeshBasicMaterial, Material, Shape, ShapeGeometry, Matrix4, Vector3, DoubleSide} from "three";
+import {ARRenderer} from "../ARRenderer";
+import {ARObject} from "./ARObject";
+
+/**
+ * Plane detected in the environment by the XR system.
+ */
+export interface TrackedPlane
+{
+	/**
+	 * XR plane object.
+	 */
+	plane: XRPlane;
+
+	/**
+	 * Orientation of the plane.
+	 */
+	orientation: "horizontal" | "vertical";
+
+	/**
+	 * Semantic label provided by the system (e.g. "floor", "table", "wall"), null if not available.
+	 */
+	label: string;
+
+	/**
+	 * Largest extent of the plane polygon in meters.
+	 */
+	width: number;
+
+	/**
+	 * Smallest extent of the plane polygon in meters.
+	 */
+	depth: number;
+
+	/**
+	 * Pose of the plane in the reference space, Y axis is the normal of the plane.
+	 */
+	matrix: Matrix4;
+
+	/**
+	 * Time of the last change of the plane polygon, used to update the geometry.
+	 */
+	lastChangedTime: number;
+
+	/**
+	 * Mesh used to visualize the plane.
+	 */
+	mesh: Mesh;
+}
+
+/**
+ * Plane tracker keeps the list of planes detected by the XR system.
+ * 
+ * Planes are classified as horizontal or vertical and can be visualized as translucent meshes.
+ * 
+ * Requires the plane-detection feature, which is requested as optional by the renderer.
+ */
+export class PlaneTracker extends Object3D implements ARObject
+{
+	public isARObject = true;
+
+	/**
+	 * Planes currently tracked, indexed by XR plane.
+	 */
+	public planes: Map<XRPlane, TrackedPlane> = new Map();
+
+	/**
+	 * If true the planes are drawn as translucent meshes.
+	 */
+	public showPlanes: boolean;
+
+	/**
+	 * Material used to draw horizontal planes.
+	 */
+	public horizontalMaterial: Material = new MeshBasicMaterial({color: 0x00AAFF, opacity: 0.25, transparent: true, side: DoubleSide, depthWrite: false});
+
+	/**
+	 * Material used to draw vertical planes.
+	 */
+	public verticalMaterial: Material = new MeshBasicMaterial({color: 0xFFAA00, opacity: 0.25, transparent: true, side: DoubleSide, depthWrite: false});
+
+	/**
+	 * Callback called when a new plane is detected.
+	 */
+	public onPlaneAdded: (plane: TrackedPlane) => void = null;
+
+	/**
+	 * Callback called when a plane is no longer tracked.
+	 */
+	public onPlaneRemoved: (plane: TrackedPlane) => void = null;
+
+	public constructor(showPlanes: boolean = true)
+	{
+		super();
+
+		this.showPlanes = showPlanes;
+	}
+
+	/**
+	 * Get the tracked planes that match an orientation and minimum size.
+	 * 
+	 * @param orientation - Orientation of the planes, if not provided all planes are returned.
+	 * @param minWidth - Minimum width of the plane in meters.
+	 * @param minDepth - Minimum depth of the plane in meters.
+	 */
+	public getPlanes(orientation?: "horizontal" | "vertical", minWidth: number = 0, minDepth: number = 0): TrackedPlane[]
+	{
+		const planes: TrackedPlane[] = [];
+
+		this.planes.forEach((tracked: TrackedPlane) =>
+		{
+			if ((!orientation || tracked.orientation === orientation) && tracked.width >= minWidth && tracked.depth >= minDepth)
+			{
+				planes.push(tracked);
+			}
+		});
+
+		return planes;
+	}
+
+	public beforeARUpdate(renderer: ARRenderer, time: number, frame: XRFrame): void 
+	{
+		// @ts-ignore
+		const detectedPlanes: Set<XRPlane> = frame.detectedPlanes;
+		if (!detectedPlanes)
+		{
+			return;
+		}
+
+		// Remove planes no longer detected
+		this.planes.forEach((tracked: TrackedPlane, plane: XRPlane) =>
+		{
+			if (!detectedPlanes.has(plane))
+			{
+				this.remove(tracked.mesh);
+				tracked.mesh.geometry.dispose();
+				this.planes.delete(plane);
+
+				if (this.onPlaneRemoved)
+				{
+					this.onPlaneRemoved(tracked);
+				}
+			}
+		});
+
+		// Add and update detected planes
+		detectedPlanes.forEach((plane: XRPlane) =>
+		{
+			const pose = frame.getPose(plane.planeSpace, renderer.xrReferenceSpace);
+			if (!pose)
+			{
+				return;
+			}
+
+			let tracked = this.planes.get(plane);
+			const added = !tracked;
+
+			if (added)
+			{
+				tracked = {plane: plane, orientation: null, label: null, width: 0, depth: 0, matrix: new Matrix4(), lastChangedTime: -1, mesh: new Mesh()};
+				tracked.mesh.matrixAutoUpdate = false;
+				this.add(tracked.mesh);
+				this.planes.set(plane, tracked);
+			}
+
+			tracked.matrix.fromArray(pose.transform.matrix);
+			tracked.mesh.matrix.copy(tracked.matrix);
+			tracked.mesh.visible = this.showPlanes;
+
+			if (tracked.lastChangedTime !== plane.lastChangedTime)
+			{
+				this.updatePlane(tracked);
+			}
+
+			if (added && this.onPlaneAdded)
+			{
+				this.onPlaneAdded(tracked);
+			}
+		});
+	}
+
+	/**
+	 * Update the classification, size and geometry of a plane from its polygon.
+	 * 
+	 * @param tracked - Tracked plane to update.
+	 */
+	private updatePlane(tracked: TrackedPlane): void
+	{
+		const plane = tracked.plane;
+		const polygon: DOMPointReadOnly[] = plane.polygon;
+
+		// Orientation reported by the system, fallback to the normal of the plane
+		if (plane.orientation === "horizontal" || plane.orientation === "vertical")
+		{
+			tracked.orientation = plane.orientation;
+		}
+		else
+		{
+			const normal = new Vector3().setFromMatrixColumn(tracked.matrix, 1).normalize();
+			tracked.orientation = Math.abs(normal.y) > 0.7 ? "horizontal" : "vertical";
+		}
+
+		// @ts-ignore
+		tracked.label = plane.semanticLabel || null;
+
+		// Size from the bounding box of the polygon in plane space
+		let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+		const shape = new Shape();
+
+		for (let i = 0; i < polygon.length; i++)
+		{
+			const point = polygon[i];
+			minX = Math.min(minX, point.x);
+			maxX = Math.max(maxX, point.x);
+			minZ = Math.min(minZ, point.z);
+			maxZ = Math.max(maxZ, point.z);
+
+			if (i === 0)
+			{
+				shape.moveTo(point.x, -point.z);
+			}
+			else
+			{
+				shape.lineTo(point.x, -point.z);
+			}
+		}
+
+		const sizeX = polygon.length > 0 ? maxX - minX : 0;
+		const sizeZ = polygon.length > 0 ? maxZ - minZ : 0;
+		tracked.width = Math.max(sizeX, sizeZ);
+		tracked.depth = Math.min(sizeX, sizeZ);
+		tracked.lastChangedTime = plane.lastChangedTime;
+
+		// Geometry is built in the XY plane and rotated to the XZ plane of the plane space
+		tracked.mesh.geometry.dispose();
+		tracked.mesh.geometry = new ShapeGeometry(shape).rotateX(-Math.PI / 2);
+		tracked.mesh.material = tracked.orientation === "horizontal" ? this.horizontalMaterial : this.verticalMaterial;
+	}
+}
@@ -0,0 +1,72 @@
+import {Mesh, PlaneGeometry, ShadowMaterial, Object3D, Matrix4} from "three";
+import {ARRenderer} from "../ARRenderer";
+import {ARObject} from "./ARObject";
+
+/**
+ * Shadow plane is a ground plane that only renders the shadows cast into it.
+ * 
+ * Used to ground virtual objects in the real-world surface, the camera feed remains visible everywhere except where shadows are drawn.
+ * 
+ * While following, the plane is placed at the position of the target object, or at the hit test result if there is no target.
+ */
+export class ShadowPlane extends Mesh implements ARObject
+{
+	public isARObject = true;
+
+	/**
+	 * Object followed by the plane (e.g. the cursor).
+	 * 
+	 * The plane is only moved while the target is visible.
+	 */
+	public target: Object3D = null;
+
+	/**
+	 * If false the plane stays at its current position.
+	 */
+	public follow: boolean = true;
+
+	public constructor(size: number = 10, opacity: number = 0.5)
+	{
+		super(new PlaneGeometry(size, size).rotateX(-Math.PI / 2), new ShadowMaterial({opacity: opacity}));
+
+		this.receiveShadow = true;
+		this.userData.depthOcclusion = false;
+	}
+
+	/**
+	 * Opacity of the shadows drawn in the plane.
+	 */
+	public get opacity(): number
+	{
+		return (this.material as ShadowMaterial).opacity;
+	}
+
+	public set opacity(value: number)
+	{
+		(this.material as ShadowMaterial).opacity = value;
+	}
+
+	public beforeARUpdate(renderer: ARRenderer, time: number, frame: XRFrame): void 
+	{
+		if (!this.follow)
+		{
+			return;
+		}
+
+		if (this.target)
+		{
+			if (this.target.visible)
+			{
+				this.position.copy(this.target.position);
+			}
+		}
+		else if (renderer.xrHitTestResults.length > 0)
+		{
+			const pose = renderer.xrHitTestResults[0].getPose(renderer.xrReferenceSpace);
+			if (pose)
+			{
+				this.position.setFromMatrixPosition(new Matrix4().fromArray(pose.transform.matrix));
+			}
+		}
+	}
+}
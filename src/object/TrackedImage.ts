@@ -0,0 +1,140 @@
+import {Group, Matrix4, Vector3} from "three";
+import {ARRenderer} from "../ARRenderer";
+import {ARObject} from "./ARObject";
+
+/**
+ * Tracked image follows the pose of one of the images provided in the renderer imageTracking configuration.
+ * 
+ * Content added as children of this object is aligned with the real-world image (e.g. a printed poster), the image lies in the XZ plane.
+ * 
+ * The tracking state can be:
+ *  - "tracked" the image is currently being tracked.
+ *  - "emulated" the image is not visible and its pose is estimated by the system.
+ *  - "lost" the image is not tracked.
+ * 
+ * Dispatches an event with the type of the state ("tracked", "emulated" or "lost") and a "statechange" event every time the state changes. An "untrackable" event is dispatched if the system reports that the image cannot be tracked.
+ */
+export class TrackedImage extends Group implements ARObject
+{
+	public isARObject = true;
+
+	/**
+	 * Index of the image in the renderer imageTracking list.
+	 */
+	public index: number;
+
+	/**
+	 * Current tracking state of the image.
+	 */
+	public state: "tracked" | "emulated" | "lost" = "lost";
+
+	/**
+	 * Width of the image measured by the system in meters.
+	 */
+	public measuredWidth: number = 0;
+
+	/**
+	 * If true the object is hidden while the image is lost.
+	 */
+	public hideWhenLost: boolean = true;
+
+	/**
+	 * Indicates if the system reported the image as trackable, null until the scores are available.
+	 */
+	public trackable: boolean = null;
+
+	/**
+	 * Session for which the image scores were requested.
+	 */
+	private scoresSession: XRSession = null;
+
+	public constructor(index: number)
+	{
+		super();
+
+		this.index = index;
+		this.visible = !this.hideWhenLost;
+	}
+
+	public beforeARUpdate(renderer: ARRenderer, time: number, frame: XRFrame): void 
+	{
+		if (!renderer.config.imageTracking) 
+		{
+			throw Error('XR image tracking must be available for TrackedImage object. Check renderer configuration.');
+		}
+
+		if (this.scoresSession !== renderer.xrSession)
+		{
+			this.requestScores(renderer.xrSession);
+		}
+
+		// @ts-ignore
+		const results = frame.getImageTrackingResults();
+		let state: "tracked" | "emulated" | "lost" = "lost";
+
+		for (let i = 0; i < results.length; i++)
+		{
+			const result = results[i];
+			if (result.index !== this.index)
+			{
+				continue;
+			}
+
+			const pose = frame.getPose(result.imageSpace, renderer.xrReferenceSpace);
+			if (pose)
+			{
+				// Scale of the pose is discarded, the object keeps the scale set by the user
+				const matrix = new Matrix4().fromArray(pose.transform.matrix);
+				matrix.decompose(this.position, this.quaternion, new Vector3());
+
+				this.measuredWidth = result.measuredWidthInMeters;
+				state = result.trackingState;
+			}
+			break;
+		}
+
+		this.visible = state !== "lost" || !this.hideWhenLost;
+
+		if (state !== this.state)
+		{
+			const previous = this.state;
+			this.state = state;
+
+			this.dispatchEvent({type: state, previous: previous});
+			this.dispatchEvent({type: "statechange", state: state, previous: previous});
+		}
+	}
+
+	/**
+	 * Request the trackability scores of the images from the session.
+	 * 
+	 * @param session - XR session running.
+	 */
+	private requestScores(session: XRSession): void
+	{
+		this.scoresSession = session;
+		this.trackable = null;
+
+		// @ts-ignore
+		if (!session.getTrackedImageScores)
+		{
+			return;
+		}
+
+		// @ts-ignore
+		session.getTrackedImageScores().then((scores: string[]) =>
+		{
+			this.trackable = scores[this.index] === "trackable";
+			if (!this.trackable)
+			{
+				this.dispatchEvent({type: "untrackable"});
+			}
+		}).catch((error: Error) =>
+		{
+			// Session ended or the image could not be processed
+			console.warn('enva-xr: Tracked image scores not available', error);
+			this.trackable = false;
+			this.dispatchEvent({type: "untrackable"});
+		});
+	}
+}
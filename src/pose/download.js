@@ -0,0 +1,20 @@
+// Download - Save generated data (exports, recordings) as a file from the browser
+export function downloadFile(filename, content, type = 'application/json') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Revoke after the download started
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File name safe timestamp, e.g. 2024-05-01T10-30-00
+export function fileTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, '-');
+}
@@ -0,0 +1,272 @@
+// Ergonomic Scoring - RULA and REBA scores from the pose joint angles
+//
+// Body segment angles come from joint-angles.js. What a camera can't see is
+// taken as neutral or set through the options: arm abduction, shoulder raise,
+// wrist twist and trunk/neck twist or side bending are not scored, the wrist
+// and neck are neutral when their keypoints are missing (the wrist needs the
+// MediaPipe hand keypoints). Both sides are scored and the worst one is kept.
+//
+// Used as a PoseEngine analyzer, scores are shown in the position log and kept
+// as a timeline that can be exported as CSV. The load is scored on each
+// method's own scale: rulaLoad 0-3 (RULA force/load score) and rebaLoad 0-3
+// (REBA load/force score 0-2, plus 1 for shock or rapid build up of force):
+//   const scorer = new ErgonomicScorer({ rulaLoad: 1, rebaLoad: 1 });
+//   engine.addAnalyzer(scorer);
+//   engine.onPose((pose) => pose && console.log(pose.ergonomics.rula.score));
+import { downloadFile, fileTimestamp } from './download.js';
+
+// RULA table A [upper arm][lower arm][wrist * 2 + wrist twist]
+const RULA_TABLE_A = [
+  [[1, 2, 2, 2, 2, 3, 3, 3], [2, 2, 2, 2, 3, 3, 3, 3], [2, 3, 3, 3, 3, 3, 4, 4]],
+  [[2, 3, 3, 3, 3, 4, 4, 4], [3, 3, 3, 3, 3, 4, 4, 4], [3, 4, 4, 4, 4, 4, 5, 5]],
+  [[3, 3, 4, 4, 4, 4, 5, 5], [3, 4, 4, 4, 4, 4, 5, 5], [4, 4, 4, 4, 4, 5, 5, 5]],
+  [[4, 4, 4, 4, 4, 5, 5, 5], [4, 4, 4, 4, 4, 5, 5, 5], [4, 4, 4, 5, 5, 5, 6, 6]],
+  [[5, 5, 5, 5, 5, 6, 6, 7], [5, 6, 6, 6, 6, 7, 7, 7], [6, 6, 6, 7, 7, 7, 7, 8]],
+  [[7, 7, 7, 7, 7, 8, 8, 9], [8, 8, 8, 8, 8, 9, 9, 9], [9, 9, 9, 9, 9, 9, 9, 9]]
+];
+
+// RULA table B [neck][trunk * 2 + legs]
+const RULA_TABLE_B = [
+  [1, 3, 2, 3, 3, 4, 5, 5, 6, 6, 7, 7],
+  [2, 3, 2, 3, 4, 5, 5, 5, 6, 7, 7, 7],
+  [3, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 7],
+  [5, 5, 5, 6, 6, 7, 7, 7, 7, 7, 8, 8],
+  [7, 7, 7, 7, 7, 8, 8, 8, 8, 8, 8, 8],
+  [8, 8, 8, 8, 8, 8, 8, 9, 9, 9, 9, 9]
+];
+
+// RULA table C [score C (arm and wrist)][score D (neck, trunk and legs)]
+const RULA_TABLE_C = [
+  [1, 2, 3, 3, 4, 5, 5],
+  [2, 2, 3, 4, 4, 5, 5],
+  [3, 3, 3, 4, 4, 5, 6],
+  [3, 3, 3, 4, 5, 6, 6],
+  [4, 4, 4, 5, 6, 7, 7],
+  [4, 4, 5, 6, 6, 7, 7],
+  [5, 5, 6, 6, 7, 7, 7],
+  [5, 5, 6, 7, 7, 7, 7]
+];
+
+const RULA_ACTIONS = [
+  null,
+  'Acceptable',
+  'Investigate further',
+  'Investigate and change soon',
+  'Investigate and change now'
+];
+
+// REBA table A [neck][trunk][legs]
+const REBA_TABLE_A = [
+  [[1, 2, 3, 4], [2, 3, 4, 5], [2, 4, 5, 6], [3, 5, 6, 7], [4, 6, 7, 8]],
+  [[1, 2, 3, 4], [3, 4, 5, 6], [4, 5, 6, 7], [5, 6, 7, 8], [6, 7, 8, 9]],
+  [[3, 3, 5, 6], [4, 5, 6, 7], [5, 6, 7, 8], [6, 7, 8, 9], [7, 8, 9, 9]]
+];
+
+// REBA table B [lower arm][upper arm][wrist]
+const REBA_TABLE_B = [
+  [[1, 2, 2], [1, 2, 3], [3, 4, 5], [4, 5, 5], [6, 7, 8], [7, 8, 8]],
+  [[1, 2, 3], [2, 3, 4], [4, 5, 5], [5, 6, 7], [7, 8, 8], [8, 9, 9]]
+];
+
+// REBA table C [score A][score B]
+const REBA_TABLE_C = [
+  [1, 1, 1, 2, 3, 3, 4, 5, 6, 7, 7, 7],
+  [1, 2, 2, 3, 4, 4, 5, 6, 6, 7, 7, 8],
+  [2, 3, 3, 3, 4, 5, 6, 7, 7, 8, 8, 8],
+  [3, 4, 4, 4, 5, 6, 7, 8, 8, 9, 9, 9],
+  [4, 4, 4, 5, 6, 7, 8, 8, 9, 9, 9, 9],
+  [6, 6, 6, 7, 8, 8, 9, 9, 10, 10, 10, 10],
+  [7, 7, 7, 8, 9, 9, 9, 10, 10, 11, 11, 11],
+  [8, 8, 8, 9, 10, 10, 10, 10, 10, 11, 11, 11],
+  [9, 9, 9, 10, 10, 10, 11, 11, 11, 12, 12, 12],
+  [10, 10, 10, 11, 11, 11, 11, 12, 12, 12, 12, 12],
+  [11, 11, 11, 11, 12, 12, 12, 12, 12, 12, 12, 12],
+  [12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12]
+];
+
+const REBA_ACTIONS = [
+  'Negligible risk',
+  'Low risk, change may be needed',
+  'Medium risk, investigate and change soon',
+  'High risk, investigate and implement change',
+  'Very high risk, implement change now'
+];
+
+const ACTION_COLORS = ['#4CAF50', '#4CAF50', '#FFEB3B', '#FF9800', '#F44336'];
+
+// Flexion from a joint angle (180 = straight = no flexion)
+function flexion(angle) {
+  return angle !== null ? 180 - angle : null;
+}
+
+// Shoulder flexion score, shared by RULA and REBA
+function upperArmScore(angle) {
+  if (angle <= 20) return 1;
+  if (angle <= 45) return 2;
+  if (angle <= 90) return 3;
+  return 4;
+}
+
+function lowerArmScore(elbowFlexion) {
+  return elbowFlexion >= 60 && elbowFlexion <= 100 ? 1 : 2;
+}
+
+function trunkScore(back) {
+  if (back === null || back <= 5) return 1;
+  if (back <= 20) return 2;
+  if (back <= 60) return 3;
+  return 4;
+}
+
+class ErgonomicScorer {
+  constructor({ muscleUse = 0, rulaLoad = 0, rebaLoad = 0, coupling = 0, activity = 0, legsSupported = true, interval = 250 } = {}) {
+    // Task factors the camera can't measure (see the RULA/REBA worksheets),
+    // the load is scored differently by each method
+    this.muscleUse = muscleUse;
+    this.rulaLoad = rulaLoad;
+    this.rebaLoad = rebaLoad;
+    this.coupling = coupling;
+    this.activity = activity;
+    this.legsSupported = legsSupported;
+
+    // Minimum time between timeline samples (ms)
+    this.interval = interval;
+
+    this.reset();
+  }
+
+  reset() {
+    // Latest scores ({rula, reba}, null when the body is not visible)
+    this.scores = null;
+    this.timeline = [];
+    this.startTime = null;
+    this.lastSampleTime = -Infinity;
+  }
+
+  update(pose) {
+    this.scores = pose ? this.score(pose.angles) : null;
+    if (!pose) return;
+
+    pose.ergonomics = this.scores;
+
+    if (this.scores && pose.timestamp - this.lastSampleTime >= this.interval) {
+      if (this.startTime === null) {
+        this.startTime = pose.timestamp;
+      }
+      this.lastSampleTime = pose.timestamp;
+      this.timeline.push({ time: (pose.timestamp - this.startTime) / 1000, ...this.scores });
+    }
+  }
+
+  // RULA and REBA scores of the worst side, null if the trunk or both arms are not visible
+  score(angles) {
+    if (angles.back === null) {
+      return null;
+    }
+
+    let worst = null;
+    ['left', 'right'].forEach((side) => {
+      const shoulder = angles[`${side}_shoulder`];
+      const elbowFlexion = flexion(angles[`${side}_elbow`]);
+      if (shoulder === null || elbowFlexion === null) return;
+
+      const arm = { shoulder, elbowFlexion, wristFlexion: flexion(angles[`${side}_wrist`]) };
+      const scores = { rula: this.scoreRULA(angles, arm), reba: this.scoreREBA(angles, arm) };
+
+      if (!worst || scores.rula.score + scores.reba.score > worst.rula.score + worst.reba.score) {
+        worst = scores;
+      }
+    });
+
+    return worst;
+  }
+
+  scoreRULA(angles, arm) {
+    const upperArm = upperArmScore(arm.shoulder);
+    const lowerArm = lowerArmScore(arm.elbowFlexion);
+    const wrist = arm.wristFlexion === null || arm.wristFlexion <= 5 ? 1 : arm.wristFlexion <= 15 ? 2 : 3;
+    const wristTwist = 1;
+
+    const neck = angles.neck === null || angles.neck <= 10 ? 1 : angles.neck <= 20 ? 2 : 3;
+    const trunk = trunkScore(angles.back);
+    const legs = this.legsSupported ? 1 : 2;
+
+    const scoreA = RULA_TABLE_A[upperArm - 1][lowerArm - 1][(wrist - 1) * 2 + wristTwist - 1];
+    const scoreB = RULA_TABLE_B[neck - 1][(trunk - 1) * 2 + legs - 1];
+    const scoreC = Math.min(8, scoreA + this.muscleUse + this.rulaLoad);
+    const scoreD = Math.min(7, scoreB + this.muscleUse + this.rulaLoad);
+    const score = RULA_TABLE_C[scoreC - 1][scoreD - 1];
+    const actionLevel = score <= 2 ? 1 : score <= 4 ? 2 : score <= 6 ? 3 : 4;
+
+    return { upperArm, lowerArm, wrist, neck, trunk, legs, scoreA, scoreB, score, actionLevel, action: RULA_ACTIONS[actionLevel] };
+  }
+
+  scoreREBA(angles, arm) {
+    const trunk = trunkScore(angles.back);
+    const neck = angles.neck === null || angles.neck <= 20 ? 1 : 2;
+
+    // Legs: +1 for 30-60° knee flexion, +2 above 60°
+    const knees = [angles.left_knee, angles.right_knee].filter((angle) => angle !== null);
+    const kneeFlexion = knees.length > 0 ? 180 - Math.min(...knees) : 0;
+    const legs = (this.legsSupported ? 1 : 2) + (kneeFlexion > 60 ? 2 : kneeFlexion >= 30 ? 1 : 0);
+
+    const upperArm = upperArmScore(arm.shoulder);
+    const lowerArm = lowerArmScore(arm.elbowFlexion);
+    const wrist = arm.wristFlexion === null || arm.wristFlexion <= 15 ? 1 : 2;
+
+    const scoreA = REBA_TABLE_A[neck - 1][trunk - 1][legs - 1] + this.rebaLoad;
+    const scoreB = REBA_TABLE_B[lowerArm - 1][upperArm - 1][wrist - 1] + this.coupling;
+    const score = REBA_TABLE_C[Math.min(12, scoreA) - 1][Math.min(12, scoreB) - 1] + this.activity;
+    const actionLevel = score <= 1 ? 0 : score <= 3 ? 1 : score <= 7 ? 2 : score <= 10 ? 3 : 4;
+
+    return { trunk, neck, legs, scoreA, upperArm, lowerArm, wrist, scoreB, score, actionLevel, action: REBA_ACTIONS[actionLevel] };
+  }
+
+  // Scores are shown in the position log, nothing drawn on the canvas
+  draw() {}
+
+  // HTML added to the position log panel
+  logHTML() {
+    if (!this.scores) {
+      return '<div class="ergonomic-scores">RULA/REBA: body not visible</div>';
+    }
+
+    const { rula, reba } = this.scores;
+    return `
+      <div class="ergonomic-scores">
+        <div class="ergonomic-score" style="color: ${ACTION_COLORS[rula.actionLevel]}">RULA ${rula.score} - Level ${rula.actionLevel}: ${rula.action}</div>
+        <div class="ergonomic-detail">Upper arm ${rula.upperArm} · Lower arm ${rula.lowerArm} · Wrist ${rula.wrist} · A ${rula.scoreA}</div>
+        <div class="ergonomic-detail">Neck ${rula.neck} · Trunk ${rula.trunk} · Legs ${rula.legs} · B ${rula.scoreB}</div>
+        <div class="ergonomic-score" style="color: ${ACTION_COLORS[reba.actionLevel]}">REBA ${reba.score} - Level ${reba.actionLevel}: ${reba.action}</div>
+        <div class="ergonomic-detail">Trunk ${reba.trunk} · Neck ${reba.neck} · Legs ${reba.legs} · A ${reba.scoreA}</div>
+        <div class="ergonomic-detail">Upper arm ${reba.upperArm} · Lower arm ${reba.lowerArm} · Wrist ${reba.wrist} · B ${reba.scoreB}</div>
+      </div>
+    `;
+  }
+
+  // Score timeline as CSV, one row per sample
+  toCSV() {
+    const columns = ['upperArm', 'lowerArm', 'wrist', 'neck', 'trunk', 'legs', 'scoreA', 'scoreB', 'score', 'actionLevel'];
+    const header = ['time', ...columns.map((column) => `rula_${column}`), ...columns.map((column) => `reba_${column}`)];
+
+    const rows = this.timeline.map((sample) => [
+      sample.time.toFixed(3),
+      ...columns.map((column) => sample.rula[column]),
+      ...columns.map((column) => sample.reba[column])
+    ]);
+
+    return [header, ...rows].map((row) => row.join(',')).join('\n');
+  }
+
+  export() {
+    if (this.timeline.length === 0) {
+      console.log('⚠️ No scores recorded yet');
+      return;
+    }
+
+    downloadFile(`ergonomic-scores-${fileTimestamp()}.csv`, this.toCSV(), 'text/csv');
+    console.log(`💾 Exported ${this.timeline.length} score samples`);
+  }
+}
+
+export default ErgonomicScorer;
@@ -0,0 +1,91 @@
+// Hand Tracker - MediaPipe Hands, 21 keypoints per hand, run next to a body pose engine
+//
+// The tracker is attached to any PoseEngine (see PoseEngine.setHandTracker),
+// the hands found in a frame are combined with the body pose as pose.hands.
+//
+// MediaPipe Hands labels handedness assuming a mirrored (selfie) image, the
+// engines send the camera frames unmirrored, so labels are swapped to give the
+// person's actual hand.
+import Hand from './hand.js';
+import { HAND_KEYPOINTS } from './skeleton.js';
+
+class HandTracker {
+  constructor({ maxHands = 2, modelComplexity = 1, minDetectionConfidence = 0.5, minTrackingConfidence = 0.5 } = {}) {
+    this.options = { maxHands, modelComplexity, minDetectionConfidence, minTrackingConfidence };
+    this.detector = null;
+
+    // Results of the last frame sent to the detector
+    this.results = null;
+  }
+
+  async load() {
+    console.log('📦 Checking MediaPipe Hands availability...');
+
+    if (!window.Hands) {
+      throw new Error('MediaPipe Hands failed to load. Check internet connection.');
+    }
+
+    console.log('🔧 Setting up MediaPipe Hands...');
+
+    this.detector = new window.Hands({
+      locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4/${file}`
+    });
+
+    this.detector.setOptions({
+      maxNumHands: this.options.maxHands,
+      modelComplexity: this.options.modelComplexity,
+      minDetectionConfidence: this.options.minDetectionConfidence,
+      minTrackingConfidence: this.options.minTrackingConfidence
+    });
+
+    // send() resolves after the results callback was called
+    this.detector.onResults((results) => {
+      this.results = results;
+    });
+
+    if (typeof this.detector.initialize === 'function') {
+      await this.detector.initialize();
+    }
+    console.log('✅ MediaPipe Hands ready');
+  }
+
+  // Hands found in a frame, as Hand objects
+  async estimate(image) {
+    this.results = null;
+    await this.detector.send({ image });
+
+    const results = this.results;
+    if (!results || !results.multiHandLandmarks) {
+      return [];
+    }
+
+    return results.multiHandLandmarks.map((landmarks, index) => {
+      const classification = results.multiHandedness[index];
+      const world = results.multiHandWorldLandmarks ? results.multiHandWorldLandmarks[index] : null;
+
+      return new Hand({
+        // Swapped, see the top of the file
+        handedness: classification.label === 'Left' ? 'right' : 'left',
+        score: classification.score,
+        keypoints: landmarks.map((landmark, i) => ({
+          name: HAND_KEYPOINTS[i],
+          x: landmark.x,
+          y: landmark.y,
+          z: landmark.z,
+          score: classification.score,
+          world: world ? { x: world[i].x, y: world[i].y, z: world[i].z } : null
+        }))
+      });
+    });
+  }
+
+  close() {
+    console.log('Closing MediaPipe Hands detector...');
+    if (this.detector && typeof this.detector.close === 'function') {
+      this.detector.close();
+    }
+    this.detector = null;
+  }
+}
+
+export default HandTracker;
@@ -0,0 +1,77 @@
+// Hand - Hand tracking result (21 keypoints) attached to the body pose
+//
+// Keypoints: { name, x, y, z, score, world } as in Pose, named after HAND_KEYPOINTS (skeleton.js)
+//   handedness  'left' or 'right', the person's hand (not the side of the image)
+//   score       confidence of the handedness classification
+//
+// Hands are attached to the pose whose wrist of the same side is nearest, see assignHands.
+
+// Hands of each pose ({ left, right }, in the order of the poses): every hand goes to the pose whose
+// wrist of the same side is the nearest to the hand's wrist, within maxDistance (normalized image
+// coordinates). Closest pairs are matched first, hands that match no pose are dropped
+export function assignHands(poses, hands, { maxDistance = 0.1, minScore = 0 } = {}) {
+  const assigned = poses.map(() => ({ left: null, right: null }));
+
+  const candidates = [];
+  hands.forEach((hand) => {
+    const wrist = hand.get('wrist');
+    if (!wrist) return;
+
+    poses.forEach((pose, index) => {
+      const poseWrist = pose.get(`${hand.handedness}_wrist`, minScore);
+      if (!poseWrist) return;
+
+      const distance = Math.hypot(poseWrist.x - wrist.x, poseWrist.y - wrist.y);
+      if (distance <= maxDistance) {
+        candidates.push({ hand, index, distance });
+      }
+    });
+  });
+  candidates.sort((a, b) => a.distance - b.distance);
+
+  const used = new Set();
+  candidates.forEach(({ hand, index }) => {
+    if (used.has(hand) || assigned[index][hand.handedness]) return;
+
+    used.add(hand);
+    assigned[index][hand.handedness] = hand;
+  });
+
+  return assigned;
+}
+
+class Hand {
+  constructor({ handedness, score, keypoints }) {
+    this.handedness = handedness;
+    this.score = score;
+    this.keypoints = keypoints;
+
+    this.keypointsByName = {};
+    keypoints.forEach((keypoint) => {
+      this.keypointsByName[keypoint.name] = keypoint;
+    });
+  }
+
+  // Keypoint by name, null if not available or below the minimum score
+  get(name, minScore = 0) {
+    const keypoint = this.keypointsByName[name];
+    if (!keypoint || keypoint.score < minScore) {
+      return null;
+    }
+    return keypoint;
+  }
+
+  toJSON() {
+    return {
+      handedness: this.handedness,
+      score: this.score,
+      keypoints: this.keypoints
+    };
+  }
+
+  static fromJSON(data) {
+    return new Hand(data);
+  }
+}
+
+export default Hand;
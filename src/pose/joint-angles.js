@@ -0,0 +1,97 @@
+// Joint Angles - Body angles derived from pose keypoints for posture checks
+//
+// Angles are in degrees. Joint angles are the inner angle at the joint
+// (180 = fully extended), "back" is the torso inclination from vertical
+// (0 = upright) and "neck" the head inclination relative to the torso (0 = in line).
+// Wrist angles need the hand keypoints (MediaPipe only). Angles are null when
+// a keypoint is below the minimum score.
+
+// Joint angle definitions: [first point, joint, second point]
+export const JOINTS = {
+  left_elbow: ['left_shoulder', 'left_elbow', 'left_wrist'],
+  right_elbow: ['right_shoulder', 'right_elbow', 'right_wrist'],
+  left_shoulder: ['left_hip', 'left_shoulder', 'left_elbow'],
+  right_shoulder: ['right_hip', 'right_shoulder', 'right_elbow'],
+  left_hip: ['left_shoulder', 'left_hip', 'left_knee'],
+  right_hip: ['right_shoulder', 'right_hip', 'right_knee'],
+  left_knee: ['left_hip', 'left_knee', 'left_ankle'],
+  right_knee: ['right_hip', 'right_knee', 'right_ankle'],
+  left_wrist: ['left_elbow', 'left_wrist', 'left_index'],
+  right_wrist: ['right_elbow', 'right_wrist', 'right_index']
+};
+
+export const ANGLE_NAMES = [...Object.keys(JOINTS), 'back', 'neck'];
+
+// 3D position of a keypoint in a common scale for the whole pose:
+// MediaPipe world landmarks (meters) when available, otherwise image pixels
+// with the relative z (same scale as x) when the engine provides it
+function toPoint(pose, keypoint, useWorld) {
+  if (useWorld) {
+    return keypoint.world;
+  }
+  return {
+    x: keypoint.x * pose.imageWidth,
+    y: keypoint.y * pose.imageHeight,
+    z: keypoint.z !== null ? keypoint.z * pose.imageWidth : 0
+  };
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 };
+}
+
+// Angle between two vectors in degrees
+export function vectorAngle(u, v) {
+  const lengths = Math.hypot(u.x, u.y, u.z) * Math.hypot(v.x, v.y, v.z);
+  if (lengths === 0) {
+    return null;
+  }
+  const cos = (u.x * v.x + u.y * v.y + u.z * v.z) / lengths;
+  return Math.acos(Math.min(1, Math.max(-1, cos))) * 180 / Math.PI;
+}
+
+export function computeJointAngles(pose, minScore = 0.5) {
+  const useWorld = pose.keypoints.length > 0 && pose.keypoints.every((keypoint) => keypoint.world);
+  const point = (name) => {
+    const keypoint = pose.get(name, minScore);
+    return keypoint ? toPoint(pose, keypoint, useWorld) : null;
+  };
+
+  const angles = {};
+
+  Object.entries(JOINTS).forEach(([joint, [first, vertex, second]]) => {
+    const a = point(first);
+    const b = point(vertex);
+    const c = point(second);
+    angles[joint] = a && b && c ? vectorAngle(subtract(a, b), subtract(c, b)) : null;
+  });
+
+  // Back: torso (mid hip to mid shoulder) against vertical, y points down in both spaces
+  const leftShoulder = point('left_shoulder');
+  const rightShoulder = point('right_shoulder');
+  const leftHip = point('left_hip');
+  const rightHip = point('right_hip');
+  const leftEar = point('left_ear');
+  const rightEar = point('right_ear');
+
+  let torso = null;
+  if (leftShoulder && rightShoulder && leftHip && rightHip) {
+    torso = subtract(midpoint(leftShoulder, rightShoulder), midpoint(leftHip, rightHip));
+    angles.back = vectorAngle(torso, { x: 0, y: -1, z: 0 });
+  } else {
+    angles.back = null;
+  }
+
+  // Neck: head (mid shoulder to mid ear) against the torso direction
+  if (torso && leftEar && rightEar) {
+    angles.neck = vectorAngle(subtract(midpoint(leftEar, rightEar), midpoint(leftShoulder, rightShoulder)), torso);
+  } else {
+    angles.neck = null;
+  }
+
+  return angles;
+}
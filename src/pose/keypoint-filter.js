@@ -0,0 +1,214 @@
+// Keypoint Filter - Engine independent temporal smoothing of the pose keypoints
+//
+// MediaPipe and MoveNet smooth differently and can't be tuned, this filter
+// stage runs between the detector and the drawing/analysis code of any engine
+// (see PoseEngine.setPoseFilter). Each coordinate of each keypoint of each
+// person has its own filter:
+//   one-euro  One Euro filter, little smoothing while moving fast and a lot while
+//             still (minCutoff in Hz, beta: how fast the cutoff grows with speed)
+//   kalman    Kalman filter with a constant position model (processNoise: how much
+//             a keypoint moves per second, measurementNoise: detector jitter)
+//
+// Parameters are set per joint group (head, torso, limbs, extremities) or per
+// keypoint, e.g. less smoothing on the wrists for fast tool movements:
+//   const filter = new PoseFilter({ type: 'one-euro', joints: { left_wrist: { beta: 40 } } });
+//   const smoothed = filter.filter(pose, minScore);
+import Pose from './pose.js';
+
+export const FILTER_TYPES = ['one-euro', 'kalman'];
+
+// Keypoints of each joint group, the others (elbows, knees) are limbs
+export const JOINT_GROUPS = {
+  head: ['nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear', 'left_eye_inner', 'left_eye_outer',
+    'right_eye_inner', 'right_eye_outer', 'mouth_left', 'mouth_right'],
+  torso: ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'],
+  extremities: ['left_wrist', 'right_wrist', 'left_ankle', 'right_ankle', 'left_pinky', 'right_pinky',
+    'left_index', 'right_index', 'left_thumb', 'right_thumb', 'left_heel', 'right_heel',
+    'left_foot_index', 'right_foot_index']
+};
+
+// Default parameters per joint group, coordinates are normalized (x, y, z) or in meters (world)
+export const FILTER_PARAMS = {
+  'one-euro': {
+    head: { minCutoff: 1, beta: 10, dCutoff: 1 },
+    torso: { minCutoff: 0.5, beta: 5, dCutoff: 1 },
+    limbs: { minCutoff: 1, beta: 15, dCutoff: 1 },
+    extremities: { minCutoff: 1.5, beta: 25, dCutoff: 1 }
+  },
+  kalman: {
+    head: { processNoise: 0.02, measurementNoise: 0.0001 },
+    torso: { processNoise: 0.005, measurementNoise: 0.0001 },
+    limbs: { processNoise: 0.05, measurementNoise: 0.0002 },
+    extremities: { processNoise: 0.2, measurementNoise: 0.0003 }
+  }
+};
+
+export function jointGroup(name) {
+  return Object.keys(JOINT_GROUPS).find((group) => JOINT_GROUPS[group].includes(name)) || 'limbs';
+}
+
+// One Euro filter of a single value (Casiez et al. 2012), time in seconds
+export class OneEuroFilter {
+  constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.time = null;
+  }
+
+  static smoothing(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  filter(value, time) {
+    if (this.value === null || time <= this.time) {
+      this.value = value;
+      this.time = time;
+      return value;
+    }
+
+    const dt = time - this.time;
+    const derivative = (value - this.value) / dt;
+    const dAlpha = OneEuroFilter.smoothing(this.dCutoff, dt);
+    this.derivative += dAlpha * (derivative - this.derivative);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    const alpha = OneEuroFilter.smoothing(cutoff, dt);
+    this.value += alpha * (value - this.value);
+    this.time = time;
+    return this.value;
+  }
+}
+
+// Kalman filter of a single value with a constant position model, time in seconds
+export class KalmanFilter {
+  constructor({ processNoise = 0.05, measurementNoise = 0.0001 } = {}) {
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.variance = 0;
+    this.time = null;
+  }
+
+  filter(value, time) {
+    if (this.value === null) {
+      this.value = value;
+      this.variance = this.measurementNoise;
+      this.time = time;
+      return value;
+    }
+
+    // Predict: the keypoint may have moved since the last frame
+    const dt = Math.max(0, time - this.time);
+    this.variance += this.processNoise * dt;
+
+    // Update with the measurement
+    const gain = this.variance / (this.variance + this.measurementNoise);
+    this.value += gain * (value - this.value);
+    this.variance *= 1 - gain;
+    this.time = time;
+    return this.value;
+  }
+}
+
+const FILTERS = { 'one-euro': OneEuroFilter, kalman: KalmanFilter };
+
+class PoseFilter {
+  constructor({ type = 'one-euro', joints = {} } = {}) {
+    if (!FILTER_TYPES.includes(type)) {
+      throw new Error(`Unknown filter type: ${type}`);
+    }
+    this.type = type;
+
+    // Parameter overrides by joint group or keypoint name
+    this.joints = joints;
+
+    this.reset();
+  }
+
+  reset() {
+    // Filters by person ID, then by keypoint coordinate ('left_wrist.x', 'left_wrist.world.x')
+    this.people = new Map();
+  }
+
+  // Parameters of a keypoint: group defaults, group overrides, keypoint overrides
+  getParams(name) {
+    const group = jointGroup(name);
+    return { ...FILTER_PARAMS[this.type][group], ...this.joints[group], ...this.joints[name] };
+  }
+
+  filterValue(filters, key, name, value, time) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    if (!filters.has(key)) {
+      filters.set(key, new FILTERS[this.type](this.getParams(name)));
+    }
+    return filters.get(key).filter(value, time);
+  }
+
+  // Filtered copy of a pose, the pose itself is not changed. Keypoints below
+  // minScore are passed through without updating their filter
+  filter(pose, minScore = 0) {
+    if (!this.people.has(pose.id)) {
+      this.people.set(pose.id, new Map());
+    }
+    const filters = this.people.get(pose.id);
+    const time = pose.timestamp / 1000;
+
+    const keypoints = pose.keypoints.map((keypoint) => {
+      if (keypoint.score < minScore) {
+        return keypoint;
+      }
+
+      const value = (axis) => this.filterValue(filters, `${keypoint.name}.${axis}`, keypoint.name, keypoint[axis], time);
+      const world = keypoint.world
+        ? {
+          x: this.filterValue(filters, `${keypoint.name}.world.x`, keypoint.name, keypoint.world.x, time),
+          y: this.filterValue(filters, `${keypoint.name}.world.y`, keypoint.name, keypoint.world.y, time),
+          z: this.filterValue(filters, `${keypoint.name}.world.z`, keypoint.name, keypoint.world.z, time)
+        }
+        : keypoint.world;
+
+      return { ...keypoint, x: value('x'), y: value('y'), z: value('z'), world };
+    });
+
+    const filtered = new Pose({
+      engine: pose.engine,
+      id: pose.id,
+      timestamp: pose.timestamp,
+      imageWidth: pose.imageWidth,
+      imageHeight: pose.imageHeight,
+      keypoints,
+      score: pose.score
+    });
+    filtered.hands = pose.hands;
+    return filtered;
+  }
+
+  // Filter the poses of a frame, forgetting the people that are gone
+  filterPoses(poses, minScore = 0) {
+    const ids = new Set(poses.map((pose) => pose.id));
+    Array.from(this.people.keys()).forEach((id) => {
+      if (!ids.has(id)) {
+        this.people.delete(id);
+      }
+    });
+
+    return poses.map((pose) => this.filter(pose, minScore));
+  }
+}
+
+export default PoseFilter;
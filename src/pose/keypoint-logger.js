@@ -0,0 +1,161 @@
+// Keypoint Logger - Keeps every keypoint of every frame of a session for export
+//
+// The position log panel only shows the latest frame, the logger stores all of
+// them and exports them as:
+//   CSV   one row per frame for the target person: frame, time, engine, image size, FPS,
+//         person ID and the x, y, z and score of each keypoint (columns named after the
+//         canonical skeleton, keypoints the engine doesn't provide are left out)
+//   JSON  a pose recording (pose-recording.js), which can also be replayed
+//
+// Used as a PoseEngine analyzer:
+//   const logger = new KeypointLogger();
+//   engine.addAnalyzer(logger);
+//   logger.export('csv');
+import { KEYPOINT_NAMES } from './skeleton.js';
+import { createRecording } from './pose-recording.js';
+import { downloadFile, fileTimestamp } from './download.js';
+
+class KeypointLogger {
+  constructor({ maxFrames = 36000 } = {}) {
+    // Frames kept at most (20 minutes at 30 FPS), logging stops after
+    this.maxFrames = maxFrames;
+
+    // Buttons bound with bindControls()
+    this.controls = null;
+
+    this.reset();
+  }
+
+  reset() {
+    this.frames = [];
+    this.startTime = null;
+    this.engine = null;
+    this.imageWidth = null;
+    this.imageHeight = null;
+    this.minScore = 0.5;
+    this.mirrored = null;
+    this.isFull = false;
+  }
+
+  // Bind the export buttons of a panel (elements with data-action csv and json)
+  bindControls(panel) {
+    this.controls = {
+      csv: panel.querySelector('[data-action="csv"]'),
+      json: panel.querySelector('[data-action="json"]')
+    };
+
+    this.controls.csv.onclick = () => this.export('csv');
+    this.controls.json.onclick = () => this.export('json');
+  }
+
+  update(pose, engine) {
+    if (this.frames.length >= this.maxFrames) {
+      if (!this.isFull) {
+        this.isFull = true;
+        console.warn(`⚠️ Keypoint log full (${this.maxFrames} frames), logging stopped`);
+      }
+      return;
+    }
+
+    const now = engine.frameTime;
+    if (this.startTime === null) {
+      this.startTime = now;
+    }
+
+    this.engine = engine.name;
+    this.imageWidth = engine.canvas.width;
+    this.imageHeight = engine.canvas.height;
+    this.minScore = engine.minScore;
+    this.mirrored = engine.mirrored;
+
+    this.frames.push({
+      time: now - this.startTime,
+      fps: engine.fps,
+      targetId: pose ? pose.id : null,
+      poses: engine.poses.map((p) => p.toJSON())
+    });
+  }
+
+  // Keypoints are logged, not drawn
+  draw() {}
+
+  statusHTML() {
+    const seconds = this.frames.length > 0 ? this.frames[this.frames.length - 1].time / 1000 : 0;
+    return `📝 Logging ${this.frames.length} frames (${seconds.toFixed(1)}s)${this.isFull ? ' · full' : ''}`;
+  }
+
+  // Average FPS over the session
+  getAverageFPS() {
+    const frames = this.frames.filter((frame) => frame.fps > 0);
+    return frames.length > 0 ? Math.round(frames.reduce((sum, frame) => sum + frame.fps, 0) / frames.length) : null;
+  }
+
+  // One row per frame for the target person of the frame, empty cells when nobody or a keypoint is not detected
+  toCSV() {
+    const logged = new Set();
+    this.frames.forEach((frame) => frame.poses.forEach((pose) => pose.keypoints.forEach((keypoint) => logged.add(keypoint.name))));
+    const names = KEYPOINT_NAMES.filter((name) => logged.has(name));
+
+    const header = ['frame', 'time_ms', 'engine', 'image_width', 'image_height', 'fps', 'person_id', 'pose_score'];
+    names.forEach((name) => header.push(`${name}_x`, `${name}_y`, `${name}_z`, `${name}_score`));
+
+    const value = (number, digits) => (number !== null && number !== undefined ? number.toFixed(digits) : '');
+
+    const rows = this.frames.map((frame, index) => {
+      const pose = frame.targetId !== null ? frame.poses.find((p) => p.id === frame.targetId) : null;
+      const row = [index, frame.time.toFixed(1), this.engine, this.imageWidth, this.imageHeight, frame.fps,
+        pose ? pose.id : '', pose ? value(pose.score, 3) : ''];
+
+      const keypoints = {};
+      if (pose) {
+        pose.keypoints.forEach((keypoint) => {
+          keypoints[keypoint.name] = keypoint;
+        });
+      }
+
+      names.forEach((name) => {
+        const keypoint = keypoints[name];
+        row.push(
+          keypoint ? value(keypoint.x, 5) : '',
+          keypoint ? value(keypoint.y, 5) : '',
+          keypoint ? value(keypoint.z, 5) : '',
+          keypoint ? value(keypoint.score, 3) : ''
+        );
+      });
+
+      return row;
+    });
+
+    return [header, ...rows].map((row) => row.join(',')).join('\n');
+  }
+
+  toRecording() {
+    return createRecording({
+      engine: this.engine,
+      imageWidth: this.imageWidth,
+      imageHeight: this.imageHeight,
+      minScore: this.minScore,
+      fps: this.getAverageFPS(),
+      mirrored: this.mirrored,
+      frames: this.frames
+    });
+  }
+
+  // Download the log as 'csv' or 'json'
+  export(format = 'csv') {
+    if (this.frames.length === 0) {
+      console.log('⚠️ No keypoints logged yet');
+      return;
+    }
+
+    const name = `keypoints-${this.engine}-${fileTimestamp()}`;
+    if (format === 'json') {
+      downloadFile(`${name}.json`, JSON.stringify(this.toRecording()));
+    } else {
+      downloadFile(`${name}.csv`, this.toCSV(), 'text/csv');
+    }
+    console.log(`💾 Exported ${this.frames.length} frames as ${format.toUpperCase()}`);
+  }
+}
+
+export default KeypointLogger;
@@ -0,0 +1,191 @@
+// Lift Assessment - Safe-lifting check for warehouse lifting technique
+//
+// A lift starts when the hands go below knee height and ends when they are back
+// up near waist (hip) height for a few frames. Carried loads keep the hands a
+// little below the hips, so the end is measured with a margin in torso lengths.
+// During a lift the back inclination is compared with the knee flexion: a bent
+// back with straighter knees is flagged as "bending at the waist" with a red
+// overlay, and a short summary is shown after each lift.
+//
+// Used as a PoseEngine analyzer:
+//   const lift = new LiftAssessment();
+//   lift.onLift = (summary) => console.log(summary.bentAtWaist);
+//   engine.addAnalyzer(lift);
+class LiftAssessment {
+  constructor({ maxBackAngle = 45, minFlaggedFrames = 3, endMargin = 0.25, endFrames = 5, summaryDuration = 4000, maxLostFrames = 30 } = {}) {
+    // Back inclination from vertical (degrees) above which bending is checked
+    this.maxBackAngle = maxBackAngle;
+
+    // The lift ends when the hands are above the hips lowered by endMargin torso lengths for endFrames frames
+    this.endMargin = endMargin;
+    this.endFrames = endFrames;
+
+    // Flagged frames needed to rate a whole lift as bent at the waist (ignores single frame noise)
+    this.minFlaggedFrames = minFlaggedFrames;
+
+    // How long the summary stays on screen after a lift (ms)
+    this.summaryDuration = summaryDuration;
+
+    // Frames without a person before an ongoing lift is discarded
+    this.maxLostFrames = maxLostFrames;
+
+    // Called with the summary of every completed lift
+    this.onLift = null;
+
+    this.reset();
+  }
+
+  reset() {
+    this.isLifting = false;
+    this.samples = [];
+    this.liftStart = 0;
+    this.upFrames = 0;
+    this.lostFrames = 0;
+    this.warning = false;
+
+    // Completed lift summaries of the session
+    this.lifts = [];
+    this.lastSummary = null;
+    this.summaryUntil = 0;
+  }
+
+  update(pose, engine) {
+    this.warning = false;
+
+    const heights = pose ? this.getHeights(pose, engine.minScore) : null;
+    if (!heights) {
+      if (this.isLifting && ++this.lostFrames > this.maxLostFrames) {
+        console.log('⚠️ Lift discarded, person lost');
+        this.isLifting = false;
+        this.samples = [];
+      }
+      return;
+    }
+    this.lostFrames = 0;
+
+    // Image y points down, larger y is lower
+    const { hands, knees, hips, torso } = heights;
+
+    // Started before sampling so the first frame of the lift is part of it
+    if (!this.isLifting && hands > knees) {
+      this.isLifting = true;
+      this.liftStart = pose.timestamp;
+      this.samples = [];
+      this.upFrames = 0;
+      console.log('🏋️ Lift started');
+    }
+
+    if (!this.isLifting) return;
+
+    const back = pose.angles.back;
+    const kneeFlexion = this.getKneeFlexion(pose);
+
+    // Bending at the waist: back bent forward more than the knees are bent
+    if (back !== null && kneeFlexion !== null) {
+      this.warning = back > this.maxBackAngle && kneeFlexion < back;
+      this.samples.push({ back, kneeFlexion, flagged: this.warning });
+    }
+
+    const handsUp = hands < hips + this.endMargin * torso;
+    this.upFrames = handsUp ? this.upFrames + 1 : 0;
+    if (this.upFrames >= this.endFrames) {
+      this.finishLift(pose.timestamp, engine.frameTime);
+    }
+  }
+
+  // Normalized heights of the hands, knees and hips and the torso length in the same
+  // scale (null if not visible)
+  getHeights(pose, minScore) {
+    const visible = (names) => names.map((name) => pose.get(name, minScore)).filter((point) => point);
+    const average = (names) => {
+      const points = visible(names);
+      return points.length > 0 ? points.reduce((sum, point) => sum + point.y, 0) / points.length : null;
+    };
+
+    const hands = average(['left_wrist', 'right_wrist']);
+    const knees = average(['left_knee', 'right_knee']);
+    const hips = average(['left_hip', 'right_hip']);
+
+    // Mid shoulder to mid hip, measured in pixels so a bent torso keeps its length
+    const shoulders = visible(['left_shoulder', 'right_shoulder']);
+    const hipPoints = visible(['left_hip', 'right_hip']);
+    if (hands === null || knees === null || hips === null || shoulders.length === 0) {
+      return null;
+    }
+
+    const center = (points) => {
+      const pixels = points.map((point) => pose.toPixels(point));
+      return { x: pixels.reduce((sum, p) => sum + p.x, 0) / pixels.length, y: pixels.reduce((sum, p) => sum + p.y, 0) / pixels.length };
+    };
+    const shoulderCenter = center(shoulders);
+    const hipCenter = center(hipPoints);
+    const torso = Math.hypot(shoulderCenter.x - hipCenter.x, shoulderCenter.y - hipCenter.y) / pose.imageHeight;
+
+    return { hands, knees, hips, torso };
+  }
+
+  // Knee flexion in degrees (0 = straight legs), most bent knee
+  getKneeFlexion(pose) {
+    const knees = [pose.angles.left_knee, pose.angles.right_knee].filter((angle) => angle !== null);
+    return knees.length > 0 ? 180 - Math.min(...knees) : null;
+  }
+
+  // timestamp of the pose for the duration, frameTime of the engine for the summary display
+  // (follows the video time when analyzing a video or replaying a recording)
+  finishLift(timestamp, frameTime) {
+    this.isLifting = false;
+
+    if (this.samples.length === 0) {
+      return;
+    }
+
+    const flaggedFrames = this.samples.filter((sample) => sample.flagged).length;
+    const summary = {
+      index: this.lifts.length + 1,
+      duration: timestamp - this.liftStart,
+      maxBackAngle: Math.max(...this.samples.map((sample) => sample.back)),
+      maxKneeFlexion: Math.max(...this.samples.map((sample) => sample.kneeFlexion)),
+      flaggedRatio: flaggedFrames / this.samples.length,
+      bentAtWaist: flaggedFrames >= this.minFlaggedFrames
+    };
+
+    this.samples = [];
+    this.lifts.push(summary);
+    this.lastSummary = summary;
+    this.summaryUntil = frameTime + this.summaryDuration;
+
+    console.log(`${summary.bentAtWaist ? '❌' : '✅'} Lift #${summary.index}: back ${summary.maxBackAngle.toFixed(0)}°, knees ${summary.maxKneeFlexion.toFixed(0)}°, ${(summary.duration / 1000).toFixed(1)}s`);
+
+    if (this.onLift) {
+      this.onLift(summary);
+    }
+  }
+
+  draw(ctx, engine) {
+    const { width, height } = ctx.canvas;
+
+    if (this.warning) {
+      ctx.fillStyle = 'rgba(255, 0, 0, 0.25)';
+      ctx.fillRect(0, 0, width, height);
+      ctx.strokeStyle = '#FF0000';
+      ctx.lineWidth = 12;
+      ctx.strokeRect(0, 0, width, height);
+
+      engine.drawLabel('⚠️ Bending at the waist - bend your knees', width / 2, height - 30, '#FFFFFF', 'bold 22px Arial', 'center');
+    }
+
+    if (this.lastSummary && engine.frameTime < this.summaryUntil) {
+      const summary = this.lastSummary;
+      const good = this.lifts.filter((lift) => !lift.bentAtWaist).length;
+
+      ctx.fillStyle = summary.bentAtWaist ? 'rgba(180, 0, 0, 0.8)' : 'rgba(0, 120, 0, 0.8)';
+      ctx.fillRect(width / 2 - 190, 15, 380, 90);
+
+      engine.drawLabel(`Lift #${summary.index}: ${summary.bentAtWaist ? '❌ Bent at the waist' : '✅ Good lift'}`, width / 2, 42, '#FFFFFF', 'bold 18px Arial', 'center');
+      engine.drawLabel(`Back ${summary.maxBackAngle.toFixed(0)}° · Knees ${summary.maxKneeFlexion.toFixed(0)}° · ${(summary.duration / 1000).toFixed(1)}s`, width / 2, 68, '#FFFFFF', '14px Arial', 'center');
+      engine.drawLabel(`Session: ${good}/${this.lifts.length} good lifts`, width / 2, 92, '#FFFFFF', '14px Arial', 'center');
+    }
+  }
+}
+
+export default LiftAssessment;
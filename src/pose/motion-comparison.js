@@ -0,0 +1,427 @@
+// Motion Comparison - Score a trainee against a recorded expert (reference) motion
+//
+// The instructor records a reference motion, which can be saved and loaded as
+// a pose recording (pose-recording.js), session recordings can be used too.
+// During a trainee attempt the reference is drawn as a ghost skeleton, played
+// back in time and scaled to the trainee's body. When the attempt ends both
+// motions are aligned with dynamic time warping (so a slower or faster
+// attempt is not penalized) and the error of each joint is measured.
+//
+// Poses are compared in body space: relative to the hip center and in torso
+// lengths, so the distance to the camera and the position in the image don't
+// matter. Only keypoints available on every engine are used, a reference
+// recorded with MediaPipe can be used with MoveNet.
+//
+// Used as a PoseEngine analyzer:
+//   const comparison = new MotionComparison();
+//   comparison.startRecording(); ... comparison.stopRecording();
+//   comparison.startAttempt(); ... comparison.stopAttempt();
+//   console.log(comparison.result.score, comparison.result.jointErrors);
+import { CONNECTIONS } from './skeleton.js';
+import { downloadFile, fileTimestamp } from './download.js';
+import { readRecording, recordingFromPoses } from './pose-recording.js';
+
+// Body keypoints compared (face excluded, available on every engine)
+export const COMPARED_KEYPOINTS = [
+  'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow', 'left_wrist', 'right_wrist',
+  'left_hip', 'right_hip', 'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+];
+
+// Keypoints relative to the hip center in torso lengths (measured in pixels to keep the aspect ratio)
+// null if the shoulders or hips are not visible
+export function normalizePose(pose, minScore = 0) {
+  const pixels = (name) => {
+    const keypoint = pose.get(name, minScore);
+    return keypoint ? pose.toPixels(keypoint) : null;
+  };
+
+  const [leftShoulder, rightShoulder, leftHip, rightHip] = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'].map(pixels);
+  if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) {
+    return null;
+  }
+
+  const center = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
+  const scale = Math.hypot((leftShoulder.x + rightShoulder.x) / 2 - center.x, (leftShoulder.y + rightShoulder.y) / 2 - center.y);
+  if (scale === 0) {
+    return null;
+  }
+
+  const points = {};
+  COMPARED_KEYPOINTS.forEach((name) => {
+    const point = pixels(name);
+    if (point) {
+      points[name] = { x: (point.x - center.x) / scale, y: (point.y - center.y) / scale };
+    }
+  });
+
+  return { timestamp: pose.timestamp, center, scale, points };
+}
+
+// Distance of each keypoint visible in both normalized poses (torso lengths)
+function keypointDistances(a, b) {
+  const distances = {};
+  Object.keys(a.points).forEach((name) => {
+    if (b.points[name]) {
+      distances[name] = Math.hypot(a.points[name].x - b.points[name].x, a.points[name].y - b.points[name].y);
+    }
+  });
+  return distances;
+}
+
+// Mean keypoint distance, poses without common keypoints are one torso length apart
+function poseDistance(a, b) {
+  const distances = Object.values(keypointDistances(a, b));
+  return distances.length > 0 ? distances.reduce((sum, distance) => sum + distance, 0) / distances.length : 1;
+}
+
+// Dynamic time warping of two sequences, returns the alignment path ([[i, j], ...]) and its total cost
+export function dynamicTimeWarping(a, b, distance) {
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const cost = new Float64Array((n + 1) * width).fill(Infinity);
+  cost[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const previous = Math.min(cost[(i - 1) * width + j], cost[i * width + j - 1], cost[(i - 1) * width + j - 1]);
+      cost[i * width + j] = distance(a[i - 1], b[j - 1]) + previous;
+    }
+  }
+
+  // Walk back from the end following the cheapest predecessor
+  const path = [];
+  let i = n;
+  let j = m;
+  while (i > 0 && j > 0) {
+    path.push([i - 1, j - 1]);
+
+    const diagonal = cost[(i - 1) * width + j - 1];
+    const up = cost[(i - 1) * width + j];
+    const left = cost[i * width + j - 1];
+
+    if (diagonal <= up && diagonal <= left) {
+      i--;
+      j--;
+    } else if (up <= left) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  path.reverse();
+
+  return { path, cost: cost[n * width + m] };
+}
+
+class MotionComparison {
+  constructor({ maxError = 0.5, sampleInterval = 33, maxDuration = 30000 } = {}) {
+    // Mean error (torso lengths) that scores 0, no error scores 100
+    this.maxError = maxError;
+
+    // Minimum time between recorded frames and maximum recording length (ms)
+    this.sampleInterval = sampleInterval;
+    this.maxDuration = maxDuration;
+
+    // Reference motion ({engine, poses, normalized}), kept when the analyzer is reset
+    this.reference = null;
+
+    // Buttons bound with bindControls()
+    this.controls = null;
+
+    this.minScore = 0.5;
+    this.reset();
+  }
+
+  reset() {
+    // 'idle', 'recording' (reference) or 'attempt' (trainee)
+    this.mode = 'idle';
+    this.poses = [];
+    this.modeStart = null;
+    this.elapsed = 0;
+    this.lastSampleTime = -Infinity;
+
+    // Ghost (normalized reference pose) and its distance to the trainee during an attempt
+    this.ghost = null;
+    this.trainee = null;
+    this.liveError = null;
+
+    // Result of the last attempt
+    this.result = null;
+    this.message = null;
+
+    this.updateControls();
+  }
+
+  // Bind the buttons of a controls panel (elements with data-action record, save, load and attempt)
+  bindControls(panel) {
+    const element = (action) => panel.querySelector(`[data-action="${action}"]`);
+    this.controls = {
+      record: element('record'),
+      save: element('save'),
+      load: element('load'),
+      attempt: element('attempt')
+    };
+
+    this.controls.record.onclick = () => (this.mode === 'recording' ? this.stopRecording() : this.startRecording());
+    this.controls.attempt.onclick = () => (this.mode === 'attempt' ? this.stopAttempt() : this.startAttempt());
+    this.controls.save.onclick = () => this.saveReference();
+    this.controls.load.onchange = () => {
+      const file = this.controls.load.files[0];
+      this.controls.load.value = '';
+      if (file) {
+        this.loadReference(file).catch((error) => {
+          console.error('❌ Failed to load reference:', error);
+          this.message = `Failed to load reference: ${error.message}`;
+        });
+      }
+    };
+
+    this.updateControls();
+  }
+
+  updateControls() {
+    if (!this.controls) return;
+
+    this.controls.record.textContent = this.mode === 'recording' ? '⏹ Stop Recording' : '● Record Expert';
+    this.controls.record.disabled = this.mode === 'attempt';
+    this.controls.attempt.textContent = this.mode === 'attempt' ? '⏹ Stop Attempt' : '▶ Start Attempt';
+    this.controls.attempt.disabled = !this.reference || this.mode === 'recording';
+    this.controls.save.disabled = !this.reference;
+  }
+
+  startRecording() {
+    this.setMode('recording');
+    console.log('🎬 Recording reference motion...');
+  }
+
+  stopRecording() {
+    const poses = this.poses;
+    this.setMode('idle');
+
+    if (poses.length === 0) {
+      this.message = 'Nothing recorded, nobody detected';
+      return;
+    }
+
+    try {
+      this.setReference(poses, poses[0].engine);
+      console.log(`✅ Reference recorded: ${poses.length} frames`);
+    } catch (error) {
+      this.message = error.message;
+    }
+  }
+
+  startAttempt() {
+    if (!this.reference) return;
+
+    this.result = null;
+    this.setMode('attempt');
+    console.log('▶️ Attempt started');
+  }
+
+  stopAttempt() {
+    const poses = this.poses;
+    this.setMode('idle');
+    this.result = this.compare(poses);
+
+    if (this.result) {
+      console.log(`🏁 Attempt score: ${this.result.score}/100 (mean error ${this.result.meanError.toFixed(2)})`);
+    } else {
+      this.message = 'Attempt not scored, body not visible';
+    }
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.poses = [];
+    this.modeStart = null;
+    this.elapsed = 0;
+    this.lastSampleTime = -Infinity;
+    this.ghost = null;
+    this.liveError = null;
+    this.message = null;
+    this.updateControls();
+  }
+
+  setReference(poses, engine) {
+    const normalized = poses.map((pose) => normalizePose(pose, this.minScore)).filter((frame) => frame);
+    if (normalized.length === 0) {
+      throw new Error('Reference has no frame with the body visible');
+    }
+
+    this.reference = { engine, poses, normalized };
+    this.result = null;
+    this.message = null;
+    this.updateControls();
+  }
+
+  saveReference() {
+    if (!this.reference) return;
+
+    const recording = recordingFromPoses(this.reference.poses, { minScore: this.minScore });
+    downloadFile(`reference-motion-${fileTimestamp()}.json`, JSON.stringify(recording));
+    console.log('💾 Reference saved');
+  }
+
+  // Load a reference saved with saveReference() or any session recording (first person of each frame)
+  async loadReference(file) {
+    const recording = await readRecording(file);
+    const poses = recording.frames.filter((frame) => frame.poses.length > 0).map((frame) => frame.poses[0]);
+
+    this.setReference(poses, recording.engine);
+    console.log(`📂 Reference loaded: ${poses.length} frames (${recording.engine})`);
+  }
+
+  update(pose, engine) {
+    this.minScore = engine.minScore;
+    this.trainee = pose ? normalizePose(pose, this.minScore) : null;
+
+    if (this.mode === 'idle' || !pose) return;
+
+    if (this.modeStart === null) {
+      this.modeStart = pose.timestamp;
+    }
+    this.elapsed = pose.timestamp - this.modeStart;
+
+    if (pose.timestamp - this.lastSampleTime >= this.sampleInterval) {
+      this.lastSampleTime = pose.timestamp;
+      this.poses.push(pose);
+    }
+
+    if (this.mode === 'attempt') {
+      this.ghost = this.getReferenceAt(this.elapsed);
+      this.liveError = this.trainee ? poseDistance(this.trainee, this.ghost) : null;
+    }
+
+    if (this.elapsed >= this.maxDuration) {
+      console.log('⏱️ Maximum duration reached');
+      if (this.mode === 'recording') {
+        this.stopRecording();
+      } else {
+        this.stopAttempt();
+      }
+    }
+  }
+
+  // Normalized reference frame at a time since the start of the motion (last frame after the end)
+  getReferenceAt(time) {
+    const frames = this.reference.normalized;
+    const start = frames[0].timestamp;
+    const frame = frames.find((f) => f.timestamp - start >= time);
+    return frame || frames[frames.length - 1];
+  }
+
+  getReferenceDuration() {
+    const frames = this.reference.normalized;
+    return frames[frames.length - 1].timestamp - frames[0].timestamp;
+  }
+
+  // Align an attempt with the reference and measure the error of each joint
+  compare(poses) {
+    const attempt = poses.map((pose) => normalizePose(pose, this.minScore)).filter((frame) => frame);
+    if (attempt.length === 0) {
+      return null;
+    }
+
+    const { path, cost } = dynamicTimeWarping(attempt, this.reference.normalized, poseDistance);
+
+    const totals = {};
+    const counts = {};
+    path.forEach(([i, j]) => {
+      Object.entries(keypointDistances(attempt[i], this.reference.normalized[j])).forEach(([name, distance]) => {
+        totals[name] = (totals[name] || 0) + distance;
+        counts[name] = (counts[name] || 0) + 1;
+      });
+    });
+
+    const jointErrors = Object.keys(totals)
+      .map((name) => ({ name, error: totals[name] / counts[name] }))
+      .sort((a, b) => b.error - a.error);
+
+    const meanError = cost / path.length;
+
+    return {
+      score: Math.round(100 * Math.max(0, 1 - meanError / this.maxError)),
+      meanError,
+      duration: attempt[attempt.length - 1].timestamp - attempt[0].timestamp,
+      referenceDuration: this.getReferenceDuration(),
+      jointErrors
+    };
+  }
+
+  draw(ctx, engine) {
+    if (this.mode === 'recording') {
+      engine.drawLabel(`● REC ${(this.elapsed / 1000).toFixed(1)}s`, 20, 30, '#FF0000', 'bold 20px Arial');
+    }
+
+    if (this.mode === 'attempt' && this.ghost) {
+      this.drawGhost(ctx);
+    }
+  }
+
+  // Reference skeleton placed on the trainee's hips and scaled to their torso
+  drawGhost(ctx) {
+    const { center, scale } = this.trainee || this.ghost;
+    const points = this.ghost.points;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 6;
+    ctx.setLineDash([8, 6]);
+
+    CONNECTIONS.forEach(([start, end]) => {
+      if (!points[start] || !points[end]) return;
+
+      ctx.beginPath();
+      ctx.moveTo(center.x + points[start].x * scale, center.y + points[start].y * scale);
+      ctx.lineTo(center.x + points[end].x * scale, center.y + points[end].y * scale);
+      ctx.stroke();
+    });
+
+    ctx.setLineDash([]);
+  }
+
+  statusHTML() {
+    if (this.mode === 'recording') {
+      return `🎬 Recording expert ${(this.elapsed / 1000).toFixed(1)}s`;
+    }
+
+    if (this.mode === 'attempt') {
+      const error = this.liveError !== null ? ` · error ${this.liveError.toFixed(2)}` : '';
+      return `▶️ Attempt ${(this.elapsed / 1000).toFixed(1)}s / ${(this.getReferenceDuration() / 1000).toFixed(1)}s${error}`;
+    }
+
+    if (this.message) {
+      return `⚠️ ${this.message}`;
+    }
+
+    if (this.result) {
+      return `🏁 Score ${this.result.score}/100`;
+    }
+
+    return this.reference ? `Reference ready (${(this.getReferenceDuration() / 1000).toFixed(1)}s)` : 'No reference, record or load one';
+  }
+
+  // Per joint errors of the last attempt
+  logHTML() {
+    if (!this.result) return '';
+
+    const { score, meanError, duration, referenceDuration, jointErrors } = this.result;
+    const joints = jointErrors.map(({ name, error }) => `
+      <div class="keypoint-entry">
+        <span class="keypoint-name">${name}</span>
+        <span class="keypoint-coords">error: ${error.toFixed(2)}</span>
+      </div>
+    `).join('');
+
+    return `
+      <div class="comparison-result">
+        <div class="comparison-score">Score ${score}/100 · mean error ${meanError.toFixed(2)} torso</div>
+        <div class="comparison-detail">Attempt ${(duration / 1000).toFixed(1)}s · reference ${(referenceDuration / 1000).toFixed(1)}s</div>
+        ${joints}
+      </div>
+    `;
+  }
+}
+
+export default MotionComparison;
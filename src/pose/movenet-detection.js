@@ -1,397 +1,129 @@
 // MoveNet Pose Detection Controller using TensorFlow.js
-class MoveNetDetectionController {
-  constructor() {
-    this.video = null;
-    this.canvas = null;
-    this.ctx = null;
-    this.detector = null;
-    this.isActive = false;
-    this.animationFrameId = null;
-    this.positionLogContent = null;
-    this.isLogCollapsed = false;
-    
-    // FPS tracking
-    this.fps = 0;
-    this.frameCount = 0;
-    this.lastFpsUpdate = performance.now();
-    this.fpsElement = null;
+import PoseEngine from './pose-engine.js';
+import Pose from './pose.js';
+import { keypointName } from './skeleton.js';
 
-    this.init();
-  }
-
-  async init() {
-    console.log('⚡ Initializing MoveNet Pose Detection...');
-
-    // Get video and canvas elements
-    this.video = document.querySelector('#pose-video');
-    this.canvas = document.querySelector('#pose-canvas');
-    this.ctx = this.canvas.getContext('2d');
+class MoveNetDetectionController extends PoseEngine {
+  constructor({ multiPose = false } = {}) {
+    super('movenet', multiPose ? 'MoveNet MultiPose' : 'MoveNet', 0.3);
 
-    // Setup position logging
-    this.positionLogContent = document.querySelector('#position-log-content');
-    const toggleLogBtn = document.querySelector('#toggle-log');
-    const positionLog = document.querySelector('#position-log');
-    
-    // Setup FPS display
-    this.fpsElement = document.querySelector('#pose-fps');
+    // Detect up to 6 people (MultiPose Lightning) instead of one
+    this.multiPose = multiPose;
+    this.multiPerson = multiPose;
 
-    if (toggleLogBtn && positionLog) {
-      toggleLogBtn.addEventListener('click', () => {
-        positionLog.classList.toggle('collapsed');
-        this.isLogCollapsed = !this.isLogCollapsed;
-      });
-    }
+    // Pending estimatePoses() of the current frame
+    this.estimation = null;
+  }
 
+  async loadDetector() {
     // Check TensorFlow.js availability
     console.log('📦 Checking TensorFlow.js availability...');
     console.log('window.tf:', typeof window.tf);
     console.log('window.poseDetection:', typeof window.poseDetection);
 
     if (!window.tf || !window.poseDetection) {
-      console.error('❌ TensorFlow.js not loaded');
-      this.showError('TensorFlow.js failed to load. Check internet connection.');
-      return;
+      throw new Error('TensorFlow.js failed to load. Check internet connection.');
     }
 
-    console.log('✅ TensorFlow.js available');
-
-    await this.setupMoveNet();
-  }
-
-  async setupMoveNet() {
-    try {
-      console.log('🔧 Setting up MoveNet...');
-
-      // Set WebGL backend
-      await window.tf.setBackend('webgl');
-      await window.tf.ready();
-      console.log('✅ TensorFlow backend ready:', window.tf.getBackend());
+    console.log('🔧 Setting up MoveNet...');
 
-      // Create MoveNet detector with Lightning model (fastest)
-      const detectorConfig = {
-        modelType: window.poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING,
-        enableSmoothing: true,
-        minPoseScore: 0.25
-      };
+    // Set WebGL backend
+    await window.tf.setBackend('webgl');
+    await window.tf.ready();
+    console.log('✅ TensorFlow backend ready:', window.tf.getBackend());
 
-      console.log('📥 Loading MoveNet model...');
-      this.detector = await window.poseDetection.createDetector(
-        window.poseDetection.SupportedModels.MoveNet,
-        detectorConfig
-      );
-
-      console.log('✅ MoveNet detector created');
-
-      // Start camera
-      await this.startCamera();
-
-    } catch (error) {
-      console.error('❌ Error setting up MoveNet:', error);
-      console.error('Error details:', error.message, error.stack);
-      this.showError(`MoveNet setup failed: ${error.message}`);
-    }
+    this.detector = await this.createDetector();
   }
 
-  async startCamera() {
-    try {
-      console.log('📷 Starting camera...');
-      console.log('📱 User Agent:', navigator.userAgent);
-
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: 640 },
-          height: { ideal: 480 },
-          facingMode: 'user'  // Always use front camera
-        }
-      });
-
-      console.log('✅ Camera stream obtained');
-      console.log('Video tracks:', stream.getVideoTracks().length);
-      console.log('Track settings:', stream.getVideoTracks()[0]?.getSettings());
-
-      this.video.srcObject = stream;
-
-      await new Promise((resolve) => {
-        this.video.onloadedmetadata = () => {
-          this.canvas.width = this.video.videoWidth;
-          this.canvas.height = this.video.videoHeight;
-          console.log(`📐 Video dimensions: ${this.video.videoWidth}x${this.video.videoHeight}`);
-          console.log(`📐 Canvas dimensions: ${this.canvas.width}x${this.canvas.height}`);
-          this.video.play();
-          resolve();
-        };
-      });
+  // MoveNet detector for the current settings, smoothing needs tracking with several people
+  async createDetector() {
+    const { model, poseScore, smoothing } = this.settings;
+    const modelType = window.poseDetection.movenet.modelType;
 
-      console.log('✅ Camera started and playing');
-      console.log('Video readyState:', this.video.readyState);
-      console.log('Video paused:', this.video.paused);
-      this.isActive = true;
-
-      // Update status
-      const statusText = document.querySelector('#pose-status-text');
-      if (statusText) {
-        statusText.textContent = '✅ MoveNet active';
+    // MultiPose only comes as Lightning
+    let type = model === 'thunder' ? modelType.SINGLEPOSE_THUNDER : modelType.SINGLEPOSE_LIGHTNING;
+    if (this.multiPose) {
+      if (model === 'thunder') {
+        console.warn('⚠️ MoveNet MultiPose has no Thunder model, using Lightning');
       }
+      type = modelType.MULTIPOSE_LIGHTNING;
+    }
 
-      // Start detection loop
-      this.detectPose();
+    const detectorConfig = {
+      modelType: type,
+      enableSmoothing: smoothing,
+      enableTracking: this.multiPose,
+      minPoseScore: poseScore
+    };
+
+    console.log(`📥 Loading MoveNet ${this.multiPose ? 'MultiPose' : model} model...`);
+    return window.poseDetection.createDetector(
+      window.poseDetection.SupportedModels.MoveNet,
+      detectorConfig
+    );
+  }
 
-    } catch (error) {
-      console.error('❌ Camera access error:', error);
-      this.showError(`Camera failed: ${error.message}`);
+  // Model, pose score and smoothing are detector options, a new detector replaces the current one
+  async updateDetector(previous) {
+    const { model, poseScore, smoothing } = this.settings;
+    if (model === previous.model && poseScore === previous.poseScore && smoothing === previous.smoothing) {
+      return;
     }
-  }
 
-  async detectPose() {
-    if (!this.isActive) return;
+    const detector = await this.createDetector();
 
-    // Update FPS
-    this.updateFPS();
+    // Engine might have been stopped while loading
+    if (this.isStopped) {
+      detector.dispose();
+      return;
+    }
 
-    // Draw video frame
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.save();
-    this.ctx.scale(-1, 1); // Mirror horizontally
-    this.ctx.drawImage(this.video, -this.canvas.width, 0, this.canvas.width, this.canvas.height);
-    this.ctx.restore();
+    const previousDetector = this.detector;
+    this.detector = detector;
 
+    // The current frame might still be estimated with the previous detector
     try {
-      // Estimate poses
-      const poses = await this.detector.estimatePoses(this.video);
-
-      if (poses.length > 0) {
-        const pose = poses[0];
-
-        // Draw keypoints and skeleton
-        this.drawPose(pose);
-
-        // Log keypoint positions
-        this.logPositions(pose);
-
-        // Update status
-        const statusText = document.querySelector('#pose-status-text');
-        if (statusText) {
-          statusText.textContent = '✅ Person detected';
-        }
-      } else {
-        const statusText = document.querySelector('#pose-status-text');
-        if (statusText) {
-          statusText.textContent = '⚠️ No person detected';
-        }
-        // Clear position log when no detection
-        if (this.positionLogContent) {
-          this.positionLogContent.innerHTML = '<p>No person detected</p>';
-        }
-      }
-
+      await this.estimation;
     } catch (error) {
-      console.error('Detection error:', error);
+      // Reported by the detection loop
     }
-
-    // Continue loop
-    this.animationFrameId = requestAnimationFrame(() => this.detectPose());
+    previousDetector.dispose();
   }
 
-  drawPose(pose) {
-    const keypoints = pose.keypoints;
-
-    // Draw skeleton connections
-    const connections = [
-      [5, 6],   // shoulders
-      [5, 7],   // left shoulder to elbow
-      [7, 9],   // left elbow to wrist
-      [6, 8],   // right shoulder to elbow
-      [8, 10],  // right elbow to wrist
-      [5, 11],  // left shoulder to hip
-      [6, 12],  // right shoulder to hip
-      [11, 12], // hips
-      [11, 13], // left hip to knee
-      [13, 15], // left knee to ankle
-      [12, 14], // right hip to knee
-      [14, 16]  // right knee to ankle
-    ];
-
-    // Draw connections (lines)
-    this.ctx.strokeStyle = '#00FF00';
-    this.ctx.lineWidth = 2;
-
-    connections.forEach(([i, j]) => {
-      const kp1 = keypoints[i];
-      const kp2 = keypoints[j];
-
-      if (kp1.score > 0.3 && kp2.score > 0.3) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.canvas.width - kp1.x, kp1.y);
-        this.ctx.lineTo(this.canvas.width - kp2.x, kp2.y);
-        this.ctx.stroke();
-      }
-    });
-
-    // Draw keypoints (dots)
-    keypoints.forEach((keypoint, index) => {
-      if (keypoint.score > 0.3) {
-        const x = this.canvas.width - keypoint.x;
-        const y = keypoint.y;
-
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, 6, 0, 2 * Math.PI);
-        this.ctx.fillStyle = '#00FF00';
-        this.ctx.fill();
-
-        this.ctx.strokeStyle = '#FFFFFF';
-        this.ctx.lineWidth = 1;
-        this.ctx.stroke();
-      }
-    });
-
-    // Highlight hands with large colored dots
-    // Left wrist (keypoint 9)
-    const leftWrist = keypoints[9];
-    if (leftWrist && leftWrist.score > 0.3) {
-      const x = this.canvas.width - leftWrist.x;
-      const y = leftWrist.y;
-
-      this.ctx.beginPath();
-      this.ctx.arc(x, y, 15, 0, 2 * Math.PI);
-      this.ctx.fillStyle = '#FF00FF';
-      this.ctx.fill();
-
-      this.ctx.strokeStyle = '#FFFFFF';
-      this.ctx.lineWidth = 3;
-      this.ctx.stroke();
-
-      // Label
-      this.ctx.fillStyle = '#FFFFFF';
-      this.ctx.font = 'bold 16px Arial';
-      this.ctx.fillText('LEFT', x + 20, y);
-    }
-
-    // Right wrist (keypoint 10)
-    const rightWrist = keypoints[10];
-    if (rightWrist && rightWrist.score > 0.3) {
-      const x = this.canvas.width - rightWrist.x;
-      const y = rightWrist.y;
-
-      this.ctx.beginPath();
-      this.ctx.arc(x, y, 15, 0, 2 * Math.PI);
-      this.ctx.fillStyle = '#00FFFF';
-      this.ctx.fill();
-
-      this.ctx.strokeStyle = '#FFFFFF';
-      this.ctx.lineWidth = 3;
-      this.ctx.stroke();
-
-      // Label
-      this.ctx.fillStyle = '#FFFFFF';
-      this.ctx.font = 'bold 16px Arial';
-      this.ctx.fillText('RIGHT', x + 20, y);
-    }
+  async estimate(image) {
+    this.estimation = this.detector.estimatePoses(image);
+    const poses = await this.estimation;
+    return poses.map((pose) => this.toPose(pose, image));
   }
 
-  logPositions(pose) {
-    if (!this.positionLogContent || this.isLogCollapsed) return;
-
-    // MoveNet keypoint names
-    const keypointNames = [
-      'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
-      'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
-      'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
-      'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
-    ];
-
-    const keypoints = pose.keypoints;
-    let html = '<div style="font-size: 0.7rem; margin-bottom: 8px; color: #aaa;">MoveNet - 17 Keypoints</div>';
-
-    // Log important keypoints (hands and body center)
-    const importantIndices = [0, 5, 6, 9, 10, 11, 12]; // nose, shoulders, wrists, hips
-
-    importantIndices.forEach(index => {
-      const kp = keypoints[index];
-      if (kp && kp.score > 0.3) {
-        html += `
-          <div class="keypoint-entry">
-            <span class="keypoint-name">${keypointNames[index]}</span>
-            <span class="keypoint-coords">x: ${kp.x.toFixed(1)}, y: ${kp.y.toFixed(1)}</span>
-            <span class="keypoint-confidence">conf: ${(kp.score * 100).toFixed(0)}%</span>
-          </div>
-        `;
-      }
+  toPose(pose, image) {
+    const width = image.videoWidth || image.width;
+    const height = image.videoHeight || image.height;
+
+    // MoveNet keypoints are in pixels, normalize to 0..1
+    const keypoints = pose.keypoints.map((keypoint, index) => ({
+      name: keypointName(this.name, index),
+      x: keypoint.x / width,
+      y: keypoint.y / height,
+      z: null,
+      score: keypoint.score,
+      world: null
+    }));
+
+    return new Pose({
+      engine: this.name,
+      timestamp: performance.now(),
+      imageWidth: width,
+      imageHeight: height,
+      keypoints,
+      score: pose.score !== undefined ? pose.score : null
     });
-
-    this.positionLogContent.innerHTML = html;
   }
 
-  showError(message) {
-    if (this.ctx) {
-      this.ctx.fillStyle = 'rgba(255, 0, 0, 0.8)';
-      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-      this.ctx.fillStyle = '#FFFFFF';
-      this.ctx.font = '20px Arial';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2);
-    }
-  }
-
-  stop() {
-    console.log('🛑 Stopping MoveNet Pose Detection');
-    this.isActive = false;
-
-    // Stop animation frame
-    if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
-      this.animationFrameId = null;
-    }
-
+  closeDetector() {
     // Dispose TensorFlow.js detector
-    if (this.detector) {
-      console.log('Disposing MoveNet detector...');
-      try {
-        this.detector.dispose();
-      } catch (error) {
-        console.warn('Error disposing detector:', error);
-      }
-      this.detector = null;
-    }
-
-    // Stop video stream tracks
-    if (this.video) {
-      if (this.video.srcObject) {
-        const tracks = this.video.srcObject.getTracks();
-        console.log(`Stopping ${tracks.length} video tracks...`);
-        tracks.forEach(track => {
-          track.stop();
-          console.log(`Track ${track.kind} stopped`);
-        });
-        this.video.srcObject = null;
-      }
-      this.video.pause();
-      this.video.src = '';
-    }
-
-    // Clear canvas
-    if (this.ctx) {
-      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
-
-    console.log('✅ MoveNet fully stopped');
-  }
-
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastFpsUpdate;
-
-    // Update FPS every second
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastFpsUpdate = now;
-
-      // Update FPS display
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `FPS: ${this.fps}`;
-      }
-    }
+    console.log('Disposing MoveNet detector...');
+    this.detector.dispose();
   }
 }
 
@@ -0,0 +1,111 @@
+// Person Tracker - Stable person IDs across frames for multi-person poses
+//
+// Poses of a frame are matched with the people of the previous frames by the
+// overlap (IoU) of their keypoint bounding boxes, then by distance for fast
+// moves. Matched poses keep the person ID, unmatched poses get a new one.
+// A person missing for a few frames keeps their ID if they come back.
+//
+//   const tracker = new PersonTracker();
+//   tracker.update(poses, minScore); // sets pose.id
+export const PERSON_COLORS = ['#00FF00', '#FF9800', '#03A9F4', '#E91E63', '#FFEB3B', '#9C27B0'];
+
+// Skeleton color of a person (single person poses keep the default green)
+export function personColor(id) {
+  return PERSON_COLORS[(Math.max(1, id) - 1) % PERSON_COLORS.length];
+}
+
+// Bounding box of the visible keypoints in normalized coordinates, null if none is visible
+function boundingBox(pose, minScore) {
+  const keypoints = pose.keypoints.filter((keypoint) => keypoint.score >= minScore);
+  if (keypoints.length === 0) {
+    return null;
+  }
+
+  const xs = keypoints.map((keypoint) => keypoint.x);
+  const ys = keypoints.map((keypoint) => keypoint.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+function intersectionOverUnion(a, b) {
+  const width = Math.max(0, Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX));
+  const height = Math.max(0, Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY));
+  const intersection = width * height;
+  const area = (box) => (box.maxX - box.minX) * (box.maxY - box.minY);
+  const union = area(a) + area(b) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+function centerDistance(a, b) {
+  return Math.hypot((a.minX + a.maxX) / 2 - (b.minX + b.maxX) / 2, (a.minY + a.maxY) / 2 - (b.minY + b.maxY) / 2);
+}
+
+class PersonTracker {
+  constructor({ minIoU = 0.2, maxDistance = 0.2, maxMissedFrames = 30 } = {}) {
+    // Minimum box overlap to match, or maximum center distance (normalized) when they don't overlap enough
+    this.minIoU = minIoU;
+    this.maxDistance = maxDistance;
+
+    // Frames a person can be missing before their ID is dropped
+    this.maxMissedFrames = maxMissedFrames;
+
+    this.reset();
+  }
+
+  reset() {
+    // People being tracked: { id, box, missed }
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  // Assign a person ID to each pose (pose.id)
+  update(poses, minScore = 0) {
+    const boxes = poses.map((pose) => boundingBox(pose, minScore));
+
+    // Candidate matches, best first: overlapping boxes by IoU, then close boxes by distance
+    const candidates = [];
+    this.tracks.forEach((track) => {
+      boxes.forEach((box, index) => {
+        if (!box) return;
+
+        const iou = intersectionOverUnion(track.box, box);
+        const distance = centerDistance(track.box, box);
+        if (iou >= this.minIoU || distance <= this.maxDistance) {
+          candidates.push({ track, index, cost: iou >= this.minIoU ? 1 - iou : 1 + distance });
+        }
+      });
+    });
+    candidates.sort((a, b) => a.cost - b.cost);
+
+    const matchedTracks = new Set();
+    const matchedPoses = new Set();
+    candidates.forEach(({ track, index }) => {
+      if (matchedTracks.has(track) || matchedPoses.has(index)) return;
+
+      matchedTracks.add(track);
+      matchedPoses.add(index);
+      track.box = boxes[index];
+      track.missed = 0;
+      poses[index].id = track.id;
+    });
+
+    // People not seen in this frame
+    this.tracks.forEach((track) => {
+      if (!matchedTracks.has(track)) {
+        track.missed++;
+      }
+    });
+    this.tracks = this.tracks.filter((track) => track.missed <= this.maxMissedFrames);
+
+    // New people
+    poses.forEach((pose, index) => {
+      if (matchedPoses.has(index)) return;
+
+      pose.id = this.nextId++;
+      if (boxes[index]) {
+        this.tracks.push({ id: pose.id, box: boxes[index], missed: 0 });
+      }
+    });
+  }
+}
+
+export default PersonTracker;
@@ -0,0 +1,1125 @@
+// Pose Engine - Common interface shared by the MediaPipe and MoveNet controllers
+import { CONNECTIONS, IMPORTANT_KEYPOINTS, FINGERS, PALM } from './skeleton.js';
+import { JOINTS, computeJointAngles } from './joint-angles.js';
+import PersonTracker, { personColor } from './person-tracker.js';
+import { DEFAULT_SETTINGS, CAMERA_SETTINGS, parseResolution } from './pose-settings.js';
+import PoseFilter from './keypoint-filter.js';
+import { assignHands } from './hand.js';
+
+//
+// Subclasses implement the detector specific parts:
+//   loadDetector()     create the detector (throw on failure)
+//   estimate(image)    run the detector on a frame, resolve with an array of Pose objects
+//                      (or null when there is no new frame to process)
+//   closeDetector()    release the detector resources
+//   updateDetector()   optional, apply changed settings to the running detector
+//
+// Application code consumes poses the same way for every engine:
+//   const engine = new MoveNetDetectionController();
+//   engine.onPose((pose) => console.log(pose.get('left_wrist')));
+//   await engine.start();
+//
+// Every person gets a stable ID (pose.id), drawn in their own color. The target
+// person (tap on them to choose, tap elsewhere for automatic) is the pose that
+// gets analyzed, logged and sent to onPose callbacks.
+//
+// Detector and camera settings (pose-settings.js) are applied with applySettings,
+// before starting or while running.
+//
+// A video file can replace the camera (see setVideoSource), it is analyzed frame
+// by frame with the same drawing, analysis and export as the live camera.
+//
+// A keypoint filter (keypoint-filter.js) can smooth the poses of every engine
+// before drawing and analysis, see setPoseFilter.
+//
+// A hand tracker (hand-tracker.js) can run next to the body detector, see setHandTracker.
+//
+// Analyzers add per frame analysis on top of any engine (see addAnalyzer):
+//   update(pose, engine)   called every frame with the pose (null when nobody is detected)
+//   draw(ctx, engine)      draw an overlay on top of the skeleton
+//   reset()                clear the analysis state
+//   logHTML()              optional, HTML added to the position log
+//   statusHTML()           optional, HTML shown in the pose status
+class PoseEngine {
+  constructor(name, displayName, minScore = 0.5) {
+    this.name = name;
+    this.displayName = displayName;
+
+    this.video = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.detector = null;
+    this.isActive = false;
+    this.isStopped = false;
+
+    // Video file analyzed instead of the camera and the frames per second of video analyzed
+    // (null detects the frame rate of the video, see detectFrameRate)
+    this.sourceFile = null;
+    this.sourceURL = null;
+    this.sourceFrameRate = null;
+    this.videoFrameRate = 30;
+
+    // Rejects the pending seekVideo() (null when no seek is pending)
+    this.cancelSeek = null;
+
+    // Time of the frame being handled in ms, same clock as the pose timestamps (video time for video files,
+    // recording time for replays, see getFrameTime)
+    this.frameTime = 0;
+    this.animationFrameId = null;
+    this.positionLogContent = null;
+    this.isLogCollapsed = false;
+    this.statusText = null;
+    this.analysisStatus = null;
+    this.analysisStatusHTML = '';
+
+    // Minimum keypoint score to draw and log a keypoint, the keypointScore setting overrides the engine default
+    this.defaultMinScore = minScore;
+    this.minScore = minScore;
+
+    // Detector and camera settings, see applySettings
+    this.settings = { ...DEFAULT_SETTINGS };
+
+    // The video and canvas are mirrored with CSS for the front camera (selfie view), text is
+    // flipped back to stay readable. The rear camera is not mirrored, see setMirrored
+    this.mirrored = true;
+
+    // Draw joint angles next to the joints
+    this.showAngles = true;
+
+    // Latest pose of the target person (null if nobody detected) and all the poses of the frame
+    this.pose = null;
+    this.poses = [];
+
+    // Stable person IDs across frames, targetId is the chosen person (null picks one automatically).
+    // Only multi-person engines track people, the single person keeps ID 1
+    this.multiPerson = false;
+    this.personTracker = new PersonTracker();
+    this.targetId = null;
+
+    this.poseCallbacks = [];
+
+    // Optional keypoint filter, the unfiltered poses of the frame and the raw vs filtered debug view (side by side)
+    this.poseFilter = null;
+    this.rawPoses = [];
+    this.showRawPoses = false;
+
+    // Analyzers run on every frame, in order (see addAnalyzer)
+    this.analyzers = [];
+
+    // Optional hand tracker and the hands of the last frame ({ left, right }, null without tracker)
+    this.handTracker = null;
+    this.hands = null;
+
+    // Tracker being loaded, replaced by the latest setHandTracker call
+    this.pendingHandTracker = null;
+
+    // FPS tracking
+    this.fps = 0;
+    this.frameCount = 0;
+    this.lastFpsUpdate = performance.now();
+    this.fpsElement = null;
+  }
+
+  // Register a callback called with every detected pose (or null when nobody is detected)
+  // Returns a function that removes the callback
+  onPose(callback) {
+    this.poseCallbacks.push(callback);
+    return () => {
+      this.poseCallbacks = this.poseCallbacks.filter((cb) => cb !== callback);
+    };
+  }
+
+  // Add an analyzer to the pipeline, its state is reset before the first frame
+  // Returns a function that removes the analyzer
+  addAnalyzer(analyzer) {
+    if (!this.analyzers.includes(analyzer)) {
+      analyzer.reset();
+      this.analyzers.push(analyzer);
+    }
+    return () => this.removeAnalyzer(analyzer);
+  }
+
+  removeAnalyzer(analyzer) {
+    this.analyzers = this.analyzers.filter((a) => a !== analyzer);
+  }
+
+  // Smooth the poses with a keypoint filter before drawing and analysis (null to remove it)
+  setPoseFilter(filter) {
+    this.poseFilter = filter;
+    this.rawPoses = [];
+    console.log(filter ? `〰️ ${filter.type} keypoint filter on` : '〰️ Keypoint filter off');
+  }
+
+  // Analyze a video file instead of the camera, set before starting. Every frame is analyzed at the
+  // frame rate of the video, or at frameRate frames per second when given
+  setVideoSource(file, { frameRate = null } = {}) {
+    this.sourceFile = file;
+    this.sourceFrameRate = frameRate;
+  }
+
+  // Run a hand tracker next to the body detector (null to remove it), the previous one is closed.
+  // Only the latest call installs its tracker, a tracker superseded while loading is closed
+  async setHandTracker(tracker) {
+    const previous = this.handTracker;
+    this.handTracker = null;
+    this.hands = null;
+    this.pendingHandTracker = tracker;
+
+    if (previous) {
+      previous.close();
+    }
+
+    if (tracker) {
+      try {
+        await tracker.load();
+      } catch (error) {
+        tracker.close();
+        if (this.pendingHandTracker === tracker) {
+          this.pendingHandTracker = null;
+        }
+        throw error;
+      }
+
+      // Engine might have been stopped or another tracker set while loading
+      if (this.isStopped || this.pendingHandTracker !== tracker) {
+        tracker.close();
+        return;
+      }
+      this.pendingHandTracker = null;
+      this.handTracker = tracker;
+    }
+  }
+
+  // True while an analyzer records the session (e.g. SessionRecorder)
+  isRecording() {
+    return this.analyzers.some((analyzer) => analyzer.isRecording);
+  }
+
+  // Apply detector and camera settings (pose-settings.js). Before starting they are used when
+  // loading, while running the camera restarts if the resolution changed and the detector is updated.
+  // Camera settings are kept while recording, the video recorder uses the tracks of the camera stream
+  async applySettings(settings) {
+    const previous = this.settings;
+    this.settings = { ...settings };
+    this.updateMinScore();
+
+    if (this.isActive && !this.sourceFile && this.isRecording()) {
+      const blocked = CAMERA_SETTINGS.filter((key) => this.settings[key] !== previous[key]);
+      blocked.forEach((key) => {
+        this.settings[key] = previous[key];
+      });
+      if (blocked.length > 0) {
+        console.warn(`⚠️ Camera not changed while recording a session (${blocked.join(', ')})`);
+      }
+    }
+
+    if (this.settings.filter !== previous.filter) {
+      this.setPoseFilter(this.settings.filter !== 'none' ? new PoseFilter({ type: this.settings.filter }) : null);
+    }
+    this.showRawPoses = this.settings.rawView;
+
+    if (!this.isActive) return;
+
+    try {
+      const cameraChanged = CAMERA_SETTINGS.some((key) => this.settings[key] !== previous[key]);
+      if (cameraChanged && !this.sourceFile) {
+        await this.restartCamera();
+      }
+      await this.updateDetector(previous);
+      console.log(`⚙️ ${this.displayName} settings applied`);
+    } catch (error) {
+      console.error('❌ Error applying settings:', error);
+      this.setStatus(`Settings failed: ${error.message}`);
+    }
+  }
+
+  updateMinScore() {
+    this.minScore = this.settings.keypointScore !== null ? this.settings.keypointScore : this.defaultMinScore;
+  }
+
+  async start() {
+    console.log(`🎯 Starting ${this.displayName} pose engine...`);
+
+    // Get video and canvas elements
+    this.video = document.querySelector('#pose-video');
+    this.canvas = document.querySelector('#pose-canvas');
+    this.ctx = this.canvas.getContext('2d');
+
+    // Tap on a person to make them the target
+    this.canvas.onclick = (event) => this.selectPersonAt(event.clientX, event.clientY);
+    this.statusText = document.querySelector('#pose-status-text');
+    this.analysisStatus = document.querySelector('#pose-analysis-status');
+
+    // Setup position logging
+    this.positionLogContent = document.querySelector('#position-log-content');
+    const toggleLogBtn = document.querySelector('#toggle-log');
+    const positionLog = document.querySelector('#position-log');
+
+    // Setup FPS display
+    this.fpsElement = document.querySelector('#pose-fps');
+
+    if (toggleLogBtn && positionLog) {
+      // onclick instead of addEventListener so engines created later don't stack handlers
+      toggleLogBtn.onclick = () => {
+        positionLog.classList.toggle('collapsed');
+        this.isLogCollapsed = positionLog.classList.contains('collapsed');
+      };
+      this.isLogCollapsed = positionLog.classList.contains('collapsed');
+    }
+
+    this.setStatus(`Initializing ${this.displayName}...`);
+
+    try {
+      await this.loadDetector();
+      console.log(`✅ ${this.displayName} detector ready`);
+    } catch (error) {
+      console.error(`❌ Error setting up ${this.displayName}:`, error);
+      console.error('Error details:', error.message, error.stack);
+      this.showError(`${this.displayName} setup failed: ${error.message}`);
+      return;
+    }
+
+    try {
+      if (this.sourceFile) {
+        await this.openVideoFile();
+      } else {
+        await this.startCamera();
+      }
+    } catch (error) {
+      console.error('❌ Camera access error:', error);
+      this.showError(`${this.sourceFile ? 'Video' : 'Camera'} failed: ${error.message}`);
+      return;
+    }
+
+    // stop() might have been called while loading, release what was created since
+    if (this.isStopped) {
+      this.stop();
+      return;
+    }
+
+    this.isActive = true;
+    this.setStatus(`✅ ${this.displayName} active`);
+
+    // Start detection loop
+    if (this.sourceFile) {
+      this.analyzeVideo();
+    } else {
+      this.detectPose();
+    }
+  }
+
+  async startCamera() {
+    console.log('📷 Starting camera...');
+
+    const { width, height } = parseResolution(this.settings.resolution);
+    const { facing, camera } = this.settings;
+    const video = {
+      width: { ideal: width },
+      height: { ideal: height }
+    };
+
+    // A selected camera, or the front/rear one
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: camera ? { ...video, deviceId: { exact: camera } } : { ...video, facingMode: facing }
+      });
+    } catch (error) {
+      if (!camera || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+        throw error;
+      }
+
+      // The selected camera is gone (e.g. a link from another device)
+      console.warn('⚠️ Selected camera not found, using the default one');
+      stream = await navigator.mediaDevices.getUserMedia({ video: { ...video, facingMode: facing } });
+    }
+
+    const trackSettings = stream.getVideoTracks()[0]?.getSettings() || {};
+    console.log('✅ Camera stream obtained');
+    console.log('Track settings:', trackSettings);
+
+    // Only the front camera is mirrored, cameras that don't report it (webcams) are taken as the requested one
+    this.setMirrored((trackSettings.facingMode || (camera ? 'user' : facing)) !== 'environment');
+
+    this.video.srcObject = stream;
+
+    await new Promise((resolve) => {
+      this.video.onloadedmetadata = () => {
+        this.canvas.width = this.video.videoWidth;
+        this.canvas.height = this.video.videoHeight;
+        console.log(`📐 Video dimensions: ${this.video.videoWidth}x${this.video.videoHeight}`);
+        this.video.play();
+        resolve();
+      };
+    });
+
+    console.log('✅ Camera started and playing');
+  }
+
+  // Load the video file in place of the camera, paused on its first frame
+  async openVideoFile() {
+    console.log(`🎞️ Opening video ${this.sourceFile.name}...`);
+
+    this.sourceURL = URL.createObjectURL(this.sourceFile);
+    this.video.srcObject = null;
+    this.video.src = this.sourceURL;
+    this.video.loop = false;
+    this.video.muted = true;
+    this.video.pause();
+
+    await new Promise((resolve, reject) => {
+      this.video.onloadedmetadata = resolve;
+      this.video.onerror = () => reject(new Error('Video could not be loaded'));
+    });
+
+    // MediaRecorder videos only know their duration once the end was seeked
+    if (!Number.isFinite(this.video.duration)) {
+      await this.seekVideo(Number.MAX_SAFE_INTEGER);
+    }
+
+    this.canvas.width = this.video.videoWidth;
+    this.canvas.height = this.video.videoHeight;
+
+    const detected = this.sourceFrameRate ? null : await this.detectFrameRate();
+    this.videoFrameRate = this.sourceFrameRate || detected || 30;
+    const source = this.sourceFrameRate ? 'set' : detected ? 'detected' : 'not detected, default';
+    console.log(`📐 Video ${this.video.videoWidth}x${this.video.videoHeight}, ${this.video.duration.toFixed(1)}s, ${this.videoFrameRate} FPS (${source})`);
+
+    // Footage is shown as filmed
+    this.setMirrored(false);
+  }
+
+  // Frame rate of the video file, measured by playing it briefly: from the media time of consecutive
+  // frames (requestVideoFrameCallback) or else from the decoded frame count (getVideoPlaybackQuality).
+  // null if it can't be measured, the video is back on its first frame after
+  async detectFrameRate(maxFrames = 12, timeout = 1000) {
+    const times = [];
+    const canCallback = typeof this.video.requestVideoFrameCallback === 'function';
+    const canCount = typeof this.video.getVideoPlaybackQuality === 'function';
+    if (!canCallback && !canCount) {
+      return null;
+    }
+
+    // Played from the start (the duration of MediaRecorder videos is found by seeking the end)
+    if (this.video.currentTime > 0) {
+      await this.seekVideo(0);
+    }
+
+    let done = false;
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, timeout);
+      const onFrame = (now, metadata) => {
+        if (done) return;
+
+        times.push(metadata.mediaTime);
+        if (times.length >= maxFrames) {
+          clearTimeout(timer);
+          resolve();
+        } else {
+          this.video.requestVideoFrameCallback(onFrame);
+        }
+      };
+
+      if (canCallback) {
+        this.video.requestVideoFrameCallback(onFrame);
+      }
+      this.video.play().catch(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+    done = true;
+    this.video.pause();
+
+    let frameRate = null;
+    if (canCallback) {
+      // Shortest step between frames, frames skipped by the player make longer steps
+      const steps = times.slice(1).map((time, index) => time - times[index]).filter((step) => step > 0);
+      frameRate = steps.length > 0 ? 1 / Math.min(...steps) : null;
+    } else if (this.video.currentTime > 0) {
+      frameRate = this.video.getVideoPlaybackQuality().totalVideoFrames / this.video.currentTime;
+    }
+
+    await this.seekVideo(0);
+    return frameRate && frameRate >= 1 && frameRate <= 240 ? Math.round(frameRate * 100) / 100 : null;
+  }
+
+  // Seek the video and wait until the frame is available. Rejected when the video fails, is
+  // emptied or the engine is stopped, so a stop during the seek doesn't leave it pending
+  seekVideo(time) {
+    return new Promise((resolve, reject) => {
+      const settle = (error) => {
+        this.video.onseeked = null;
+        this.video.onerror = null;
+        this.video.onemptied = null;
+        this.video.onabort = null;
+        this.cancelSeek = null;
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      this.cancelSeek = () => settle(new Error('Seek cancelled, video stopped'));
+      this.video.onseeked = () => settle();
+      this.video.onerror = () => settle(new Error('Video could not be decoded'));
+      this.video.onemptied = this.cancelSeek;
+      this.video.onabort = this.cancelSeek;
+      this.video.currentTime = time;
+    });
+  }
+
+  // Video files are analyzed frame by frame (seek, estimate, handle), as fast as the detector allows
+  async analyzeVideo() {
+    const frameCount = Math.max(1, Math.floor(this.video.duration * this.videoFrameRate));
+    const started = performance.now();
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const time = frame / this.videoFrameRate;
+
+      try {
+        await this.seekVideo(time);
+        if (!this.isActive) return;
+
+        const poses = await this.estimate(this.video);
+        const handTracker = this.handTracker;
+        const hands = poses && handTracker ? await handTracker.estimate(this.video) : null;
+
+        // Engine might have been stopped while estimating
+        if (!this.isActive) return;
+
+        if (poses) {
+          // Poses are timed by the video, not by the (slower or faster) analysis
+          poses.forEach((pose) => {
+            pose.timestamp = time * 1000;
+          });
+          this.updateFPS();
+          this.handlePoses(poses, hands, time * 1000);
+        }
+      } catch (error) {
+        // Stopped while seeking or estimating
+        if (!this.isActive) return;
+        console.error('Detection error:', error);
+      }
+
+      this.setStatus(`🎞️ Frame ${frame + 1}/${frameCount} · ${this.pose ? 'person detected' : 'no person detected'}`);
+    }
+
+    const seconds = ((performance.now() - started) / 1000).toFixed(1);
+    console.log(`✅ Video analyzed: ${frameCount} frames in ${seconds}s`);
+    this.setStatus(`✅ Video analyzed: ${frameCount} frames in ${seconds}s`);
+  }
+
+  // Mirror the video and canvas (selfie view) or show them as filmed (rear camera)
+  setMirrored(mirrored) {
+    this.mirrored = mirrored;
+    this.video.classList.toggle('unmirrored', !mirrored);
+    this.canvas.classList.toggle('unmirrored', !mirrored);
+  }
+
+  // New camera stream with the current settings, detection continues on the new frames
+  async restartCamera() {
+    console.log(`📷 Restarting camera (${this.settings.camera || this.settings.facing}, ${this.settings.resolution})...`);
+
+    if (this.video.srcObject) {
+      this.video.srcObject.getTracks().forEach((track) => track.stop());
+      this.video.srcObject = null;
+    }
+    await this.startCamera();
+
+    // Engine might have been stopped while the camera was starting
+    if (this.isStopped && this.video.srcObject) {
+      this.video.srcObject.getTracks().forEach((track) => track.stop());
+      this.video.srcObject = null;
+    }
+  }
+
+  async detectPose() {
+    if (!this.isActive) return;
+
+    if (this.isFrameReady()) {
+      try {
+        const poses = await this.estimate(this.video);
+
+        // Hands on the same frame (replays without video keep the recorded hands)
+        const handTracker = this.handTracker;
+        const hands = poses && handTracker && this.video.readyState >= this.video.HAVE_CURRENT_DATA
+          ? await handTracker.estimate(this.video)
+          : null;
+
+        // Engine might have been stopped while estimating
+        if (!this.isActive) return;
+
+        if (poses) {
+          this.updateFPS();
+          this.handlePoses(poses, hands, this.getFrameTime());
+        }
+      } catch (error) {
+        console.error('Detection error:', error);
+      }
+    }
+
+    // Continue loop
+    this.animationFrameId = requestAnimationFrame(() => this.detectPose());
+  }
+
+  // Time of the frame just estimated, on the clock of the pose timestamps (camera engines use performance.now())
+  getFrameTime() {
+    return performance.now();
+  }
+
+  // True when the video has a frame to send to the detector
+  isFrameReady() {
+    return this.video.readyState >= this.video.HAVE_ENOUGH_DATA;
+  }
+
+  // Analyze, draw, log and dispatch the poses (and hands) detected in a frame
+  handlePoses(poses, hands = null, time = performance.now()) {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.frameTime = time;
+
+    if (this.multiPerson) {
+      this.personTracker.update(poses, this.minScore);
+    } else {
+      poses.forEach((pose) => {
+        pose.id = 1;
+      });
+    }
+
+    // Filtered before everything else, the raw poses are kept for the debug view
+    this.rawPoses = poses;
+    if (this.poseFilter) {
+      poses = this.poseFilter.filterPoses(poses, this.minScore);
+    }
+
+    this.poses = poses;
+    this.pose = this.selectTarget(poses);
+
+    // Hands go to the person whose wrist is nearest, one per side, hands of nobody are dropped
+    if (hands) {
+      const assigned = assignHands(poses, hands, { minScore: this.minScore });
+      poses.forEach((pose, index) => {
+        pose.hands = assigned[index];
+      });
+    }
+    this.hands = this.pose ? this.pose.hands : null;
+
+    if (this.pose) {
+      this.pose.angles = computeJointAngles(this.pose, this.minScore);
+    }
+
+    this.analyzers.forEach((analyzer) => analyzer.update(this.pose, this));
+
+    if (this.showRawPoses && this.poseFilter) {
+      this.drawRawVsFiltered(poses);
+    } else {
+      this.drawPoses(poses);
+    }
+
+    // Analyzer overlays are drawn without a pose too (e.g. a summary after the person left)
+    this.analyzers.forEach((analyzer) => analyzer.draw(this.ctx, this));
+    this.updateAnalysisStatus();
+
+    if (this.pose) {
+      this.logPositions(this.pose);
+      this.setStatus(poses.length > 1 ? `✅ ${poses.length} people detected · target #${this.pose.id}` : '✅ Person detected');
+    } else {
+      this.setStatus('⚠️ No person detected');
+
+      // Clear position log when no detection
+      if (this.positionLogContent && !this.isLogCollapsed) {
+        this.positionLogContent.innerHTML = '<p>No person detected</p>';
+      }
+    }
+
+    this.poseCallbacks.forEach((callback) => callback(this.pose));
+  }
+
+  // Pose of the target person, or the automatic choice: the previous one if still there, else the first
+  selectTarget(poses) {
+    const find = (id) => poses.find((pose) => pose.id === id);
+
+    if (this.targetId !== null && find(this.targetId)) {
+      return find(this.targetId);
+    }
+    if (this.pose && find(this.pose.id)) {
+      return find(this.pose.id);
+    }
+    return poses.length > 0 ? poses[0] : null;
+  }
+
+  // Make the person under a screen point the target, a point away from everybody goes back to automatic
+  selectPersonAt(clientX, clientY) {
+    if (this.poses.length === 0) return;
+
+    // Canvas is drawn with object-fit: cover (scaled and cropped) and maybe mirrored
+    const rect = this.canvas.getBoundingClientRect();
+    const scale = Math.max(rect.width / this.canvas.width, rect.height / this.canvas.height);
+    let px = clientX - rect.left;
+    if (this.mirrored) {
+      px = rect.width - px;
+    }
+    const x = (px - (rect.width - this.canvas.width * scale) / 2) / (this.canvas.width * scale);
+    const y = (clientY - rect.top - (rect.height - this.canvas.height * scale) / 2) / (this.canvas.height * scale);
+
+    // Closest person by keypoint distance, within a tenth of the image
+    let closest = null;
+    let closestDistance = 0.1;
+    this.poses.forEach((pose) => {
+      pose.keypoints.forEach((keypoint) => {
+        if (keypoint.score < this.minScore) return;
+
+        const distance = Math.hypot(keypoint.x - x, keypoint.y - y);
+        if (distance < closestDistance) {
+          closest = pose;
+          closestDistance = distance;
+        }
+      });
+    });
+
+    // Tapping the target again goes back to automatic too
+    this.targetId = closest && closest.id !== this.targetId ? closest.id : null;
+    console.log(this.targetId !== null ? `🎯 Target person #${this.targetId}` : '🎯 Target person automatic');
+  }
+
+  // Skeletons of the frame, other people behind the target, then the target's angles and hands
+  drawPoses(poses) {
+    poses.forEach((pose) => {
+      if (pose !== this.pose) {
+        this.drawPose(pose, false);
+      }
+    });
+
+    if (this.pose) {
+      this.drawPose(this.pose);
+      if (this.showAngles) {
+        this.drawAngles(this.pose);
+      }
+    }
+
+    if (this.hands) {
+      this.drawHands(this.hands);
+    }
+  }
+
+  // Debug view: the canvas is split in two halves, the unfiltered skeletons on the left of the
+  // screen and the filtered ones on the right, each half shows the whole frame at half size
+  drawRawVsFiltered(poses) {
+    const { width, height } = this.canvas;
+
+    // Canvas halves swap sides on screen when the canvas is mirrored
+    const rawX = this.mirrored ? width / 2 : 0;
+    const filteredX = this.mirrored ? 0 : width / 2;
+
+    const drawHalf = (x, draw) => {
+      this.ctx.save();
+      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      this.ctx.fillRect(x, 0, width / 2, height);
+      this.ctx.beginPath();
+      this.ctx.rect(x, 0, width / 2, height);
+      this.ctx.clip();
+      this.ctx.translate(x, height / 4);
+      this.ctx.scale(0.5, 0.5);
+      draw();
+      this.ctx.restore();
+    };
+
+    drawHalf(rawX, () => this.drawRawPoses(this.rawPoses));
+    drawHalf(filteredX, () => this.drawPoses(poses));
+
+    this.ctx.strokeStyle = '#FFFFFF';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(width / 2, 0);
+    this.ctx.lineTo(width / 2, height);
+    this.ctx.stroke();
+
+    this.drawLabel('● Raw', rawX + width / 4, 24, '#FF1744', 'bold 14px Arial', 'center');
+    this.drawLabel(`● Filtered (${this.poseFilter.type})`, filteredX + width / 4, 24, personColor(this.pose ? this.pose.id : 1), 'bold 14px Arial', 'center');
+  }
+
+  // Unfiltered skeletons in red
+  drawRawPoses(poses) {
+    this.ctx.strokeStyle = '#FF1744';
+    this.ctx.fillStyle = '#FF1744';
+    this.ctx.lineWidth = 2;
+
+    poses.forEach((pose) => {
+      CONNECTIONS.forEach(([start, end]) => {
+        const startPoint = pose.get(start, this.minScore);
+        const endPoint = pose.get(end, this.minScore);
+
+        if (startPoint && endPoint) {
+          this.ctx.beginPath();
+          this.ctx.moveTo(startPoint.x * this.canvas.width, startPoint.y * this.canvas.height);
+          this.ctx.lineTo(endPoint.x * this.canvas.width, endPoint.y * this.canvas.height);
+          this.ctx.stroke();
+        }
+      });
+
+      pose.keypoints.forEach((keypoint) => {
+        if (keypoint.score < this.minScore) return;
+
+        this.ctx.beginPath();
+        this.ctx.arc(keypoint.x * this.canvas.width, keypoint.y * this.canvas.height, 4, 0, 2 * Math.PI);
+        this.ctx.fill();
+      });
+    });
+  }
+
+  // Skeleton in the person's color, hands and ID are highlighted for the target only
+  drawPose(pose, isTarget = true) {
+    const color = personColor(pose.id);
+
+    // Skeleton connections (lines behind dots)
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = isTarget ? 2 : 1;
+
+    CONNECTIONS.forEach(([start, end]) => {
+      const startPoint = pose.get(start, this.minScore);
+      const endPoint = pose.get(end, this.minScore);
+
+      if (startPoint && endPoint) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(startPoint.x * this.canvas.width, startPoint.y * this.canvas.height);
+        this.ctx.lineTo(endPoint.x * this.canvas.width, endPoint.y * this.canvas.height);
+        this.ctx.stroke();
+      }
+    });
+
+    // Draw body keypoints as dots
+    pose.keypoints.forEach((keypoint) => {
+      if (keypoint.score < this.minScore) return;
+
+      this.ctx.beginPath();
+      this.ctx.arc(keypoint.x * this.canvas.width, keypoint.y * this.canvas.height, isTarget ? 6 : 4, 0, 2 * Math.PI);
+      this.ctx.fillStyle = color;
+      this.ctx.fill();
+
+      // Add white border for better visibility
+      this.ctx.strokeStyle = '#FFFFFF';
+      this.ctx.lineWidth = 1;
+      this.ctx.stroke();
+    });
+
+    // Person ID above the head when there are several people
+    const nose = pose.get('nose', this.minScore);
+    if (nose && this.poses.length > 1) {
+      this.drawLabel(`${isTarget ? '🎯 ' : ''}#${pose.id}`, nose.x * this.canvas.width, nose.y * this.canvas.height - 40, color, 'bold 18px Arial', 'center');
+    }
+
+    if (!isTarget) return;
+
+    // Highlight hands specifically with LARGE colorful dots (tracked hands are drawn with their fingers)
+    if (!this.hands || !this.hands.left) {
+      this.drawHandLandmarks(pose, 'left', '#FF00FF', 'LEFT');
+    }
+    if (!this.hands || !this.hands.right) {
+      this.drawHandLandmarks(pose, 'right', '#00FFFF', 'RIGHT');
+    }
+  }
+
+  // Wrist with lines to the index and thumb (index and thumb are MediaPipe only)
+  drawHandLandmarks(pose, side, color, label) {
+    const wrist = pose.get(`${side}_wrist`, this.minScore);
+    if (!wrist) return;
+
+    const wristX = wrist.x * this.canvas.width;
+    const wristY = wrist.y * this.canvas.height;
+
+    // Draw LARGE wrist dot
+    this.ctx.beginPath();
+    this.ctx.arc(wristX, wristY, 15, 0, 2 * Math.PI);
+    this.ctx.fillStyle = color;
+    this.ctx.fill();
+
+    // White border for better visibility
+    this.ctx.strokeStyle = '#FFFFFF';
+    this.ctx.lineWidth = 3;
+    this.ctx.stroke();
+
+    // Draw label
+    this.drawLabel(label, wristX + 20, wristY, '#FFFFFF', 'bold 16px Arial');
+
+    // Draw lines from wrist to index finger and thumb
+    [pose.get(`${side}_index`), pose.get(`${side}_thumb`)].forEach((finger) => {
+      if (!finger) return;
+
+      const x = finger.x * this.canvas.width;
+      const y = finger.y * this.canvas.height;
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(wristX, wristY);
+      this.ctx.lineTo(x, y);
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = 5;
+      this.ctx.stroke();
+
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, 10, 0, 2 * Math.PI);
+      this.ctx.fillStyle = color;
+      this.ctx.fill();
+      this.ctx.strokeStyle = '#FFFFFF';
+      this.ctx.lineWidth = 2;
+      this.ctx.stroke();
+    });
+  }
+
+  // Tracked hands with a color per finger and the handedness next to the wrist
+  drawHands(hands) {
+    const colors = { thumb: '#FF5252', index: '#FFEB3B', middle: '#4CAF50', ring: '#2196F3', pinky: '#E040FB' };
+    const point = (hand, name) => {
+      const keypoint = hand.get(name);
+      return keypoint ? { x: keypoint.x * this.canvas.width, y: keypoint.y * this.canvas.height } : null;
+    };
+
+    [hands.left, hands.right].forEach((hand) => {
+      if (!hand) return;
+
+      const line = (names, color) => {
+        const points = names.map((name) => point(hand, name)).filter((p) => p);
+        if (points.length < 2) return;
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach((p) => this.ctx.lineTo(p.x, p.y));
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+      };
+
+      line(PALM, '#FFFFFF');
+      Object.entries(FINGERS).forEach(([finger, names]) => {
+        line(names, colors[finger]);
+
+        names.forEach((name) => {
+          const p = point(hand, name);
+          if (!p) return;
+
+          this.ctx.beginPath();
+          this.ctx.arc(p.x, p.y, 4, 0, 2 * Math.PI);
+          this.ctx.fillStyle = colors[finger];
+          this.ctx.fill();
+        });
+      });
+
+      const wrist = point(hand, 'wrist');
+      if (wrist) {
+        this.ctx.beginPath();
+        this.ctx.arc(wrist.x, wrist.y, 4, 0, 2 * Math.PI);
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.fill();
+
+        this.drawLabel(hand.handedness === 'left' ? 'LEFT' : 'RIGHT', wrist.x + 15, wrist.y + 20, '#FFFFFF', 'bold 14px Arial');
+      }
+    });
+  }
+
+  // Angle values next to the joints (back angle between the shoulders)
+  drawAngles(pose) {
+    Object.keys(JOINTS).forEach((joint) => {
+      const angle = pose.angles[joint];
+      const keypoint = pose.get(joint, this.minScore);
+      if (angle === null || !keypoint) return;
+
+      this.drawLabel(`${Math.round(angle)}°`, keypoint.x * this.canvas.width + 10, keypoint.y * this.canvas.height - 10, '#FFFF00');
+    });
+
+    const leftShoulder = pose.get('left_shoulder', this.minScore);
+    const rightShoulder = pose.get('right_shoulder', this.minScore);
+    if (pose.angles.back !== null && leftShoulder && rightShoulder) {
+      const x = (leftShoulder.x + rightShoulder.x) / 2 * this.canvas.width;
+      const y = (leftShoulder.y + rightShoulder.y) / 2 * this.canvas.height;
+      this.drawLabel(`back ${Math.round(pose.angles.back)}°`, x, y - 20, '#FFFF00');
+    }
+  }
+
+  // Text drawn readable even when the canvas is mirrored with CSS
+  // align is relative to what the user sees ('left', 'center' or 'right')
+  drawLabel(text, x, y, color, font = 'bold 14px Arial', align = 'left') {
+    this.ctx.save();
+    this.ctx.translate(x, y);
+    this.ctx.textAlign = align;
+    if (this.mirrored) {
+      this.ctx.scale(-1, 1);
+      this.ctx.textAlign = { left: 'right', center: 'center', right: 'left' }[align];
+    }
+    this.ctx.font = font;
+    this.ctx.lineWidth = 3;
+    this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.strokeText(text, 0, 0);
+    this.ctx.fillStyle = color;
+    this.ctx.fillText(text, 0, 0);
+    this.ctx.restore();
+  }
+
+  logPositions(pose) {
+    if (!this.positionLogContent || this.isLogCollapsed) return;
+
+    let html = `<div style="font-size: 0.7rem; margin-bottom: 8px; color: #aaa;">${this.displayName} - ${pose.keypoints.length} Keypoints</div>`;
+
+    // Log important keypoints (optional ones are skipped on engines without them)
+    IMPORTANT_KEYPOINTS.forEach((name) => {
+      const kp = pose.get(name, this.minScore);
+      if (!kp) return;
+
+      const z = kp.z !== null ? `, z: ${kp.z.toFixed(3)}` : '';
+      html += `
+        <div class="keypoint-entry">
+          <span class="keypoint-name">${name}</span>
+          <span class="keypoint-coords">x: ${kp.x.toFixed(3)}, y: ${kp.y.toFixed(3)}${z}</span>
+          <span class="keypoint-confidence">conf: ${(kp.score * 100).toFixed(0)}%</span>
+        </div>
+      `;
+    });
+
+    // Analyzer results (e.g. ergonomic scores)
+    this.analyzers.forEach((analyzer) => {
+      if (analyzer.logHTML) {
+        html += analyzer.logHTML();
+      }
+    });
+
+    this.positionLogContent.innerHTML = html;
+  }
+
+  // Analyzer status lines (e.g. rep counter), the DOM is only touched when they change
+  updateAnalysisStatus() {
+    if (!this.analysisStatus) return;
+
+    const html = this.analyzers
+      .map((analyzer) => (analyzer.statusHTML ? analyzer.statusHTML() : ''))
+      .filter((line) => line)
+      .map((line) => `<div>${line}</div>`)
+      .join('');
+
+    if (html !== this.analysisStatusHTML) {
+      this.analysisStatusHTML = html;
+      this.analysisStatus.innerHTML = html;
+    }
+  }
+
+  setStatus(message) {
+    if (this.statusText) {
+      this.statusText.textContent = message;
+    }
+  }
+
+  showError(message) {
+    this.setStatus(`❌ ${message}`);
+
+    if (this.ctx) {
+      this.ctx.fillStyle = 'rgba(255, 0, 0, 0.8)';
+      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      this.ctx.fillStyle = '#FFFFFF';
+      this.ctx.font = '20px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2);
+    }
+  }
+
+  stop() {
+    console.log(`🛑 Stopping ${this.displayName} - FULL CLEANUP`);
+    this.isActive = false;
+    this.isStopped = true;
+
+    // Stop animation frame
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    // Release the hand tracker (one still loading is closed when its load ends)
+    this.pendingHandTracker = null;
+    if (this.handTracker) {
+      this.handTracker.close();
+      this.handTracker = null;
+    }
+    this.hands = null;
+
+    // Settle a pending video seek, the video won't fire seeked any more
+    if (this.cancelSeek) {
+      this.cancelSeek();
+    }
+
+    // Release detector (WebGL resources)
+    if (this.detector) {
+      try {
+        this.closeDetector();
+      } catch (error) {
+        console.warn('Error closing detector:', error);
+      }
+      this.detector = null;
+    }
+
+    // Stop video stream tracks
+    if (this.video) {
+      if (this.video.srcObject) {
+        const tracks = this.video.srcObject.getTracks();
+        console.log(`Stopping ${tracks.length} video tracks...`);
+        tracks.forEach(track => {
+          track.stop();
+          console.log(`Track ${track.kind} stopped`);
+        });
+        this.video.srcObject = null;
+      }
+      // Pause and clear video
+      this.video.pause();
+      this.video.removeAttribute('src');
+    }
+    if (this.sourceURL) {
+      URL.revokeObjectURL(this.sourceURL);
+      this.sourceURL = null;
+    }
+
+    // Clear canvas
+    if (this.ctx) {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    this.pose = null;
+    this.poses = [];
+    this.personTracker.reset();
+    this.targetId = null;
+    this.rawPoses = [];
+    if (this.poseFilter) {
+      this.poseFilter.reset();
+    }
+    console.log(`✅ ${this.displayName} fully stopped`);
+  }
+
+  updateFPS() {
+    this.frameCount++;
+    const now = performance.now();
+    const elapsed = now - this.lastFpsUpdate;
+
+    // Update FPS every second
+    if (elapsed >= 1000) {
+      this.fps = Math.round((this.frameCount * 1000) / elapsed);
+      this.frameCount = 0;
+      this.lastFpsUpdate = now;
+
+      // Update FPS display
+      if (this.fpsElement) {
+        this.fpsElement.textContent = `FPS: ${this.fps}`;
+      }
+    }
+  }
+
+  // Subclass hooks
+  async loadDetector() {
+    throw new Error('loadDetector() not implemented');
+  }
+
+  async estimate(image) {
+    throw new Error('estimate() not implemented');
+  }
+
+  // Called by applySettings while running, with the settings before the change
+  async updateDetector(previous) {}
+
+  closeDetector() {}
+}
+
+export default PoseEngine;
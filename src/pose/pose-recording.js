@@ -0,0 +1,78 @@
+// Pose Recording - File format shared by session recordings and reference motions
+//
+// A recording is a JSON file with the poses of every frame:
+//   {
+//     type: 'pose-recording', version: 1,
+//     engine, imageWidth, imageHeight, minScore, fps, mirrored,
+//     frames: [{ time, poses: [Pose.toJSON(), ...] }]
+//   }
+// time is in ms since the start of the recording, frames without anybody
+// detected have no poses. mirrored is true when the session was shown mirrored
+// (front camera), null when unknown. A video of the session can be kept next to
+// it (recorded with MediaRecorder from the same start time).
+import Pose from './pose.js';
+
+export const RECORDING_TYPE = 'pose-recording';
+export const RECORDING_VERSION = 1;
+
+// Recording data ready to be saved with JSON.stringify
+export function createRecording({ engine, imageWidth, imageHeight, minScore = 0.5, fps = null, mirrored = null, frames }) {
+  return {
+    type: RECORDING_TYPE,
+    version: RECORDING_VERSION,
+    engine,
+    imageWidth,
+    imageHeight,
+    minScore,
+    fps,
+    mirrored,
+    frames: frames.map((frame) => ({
+      time: frame.time,
+      poses: frame.poses.map((pose) => (pose instanceof Pose ? pose.toJSON() : pose))
+    }))
+  };
+}
+
+// Recording of a single pose per frame (e.g. a reference motion), times taken from the pose timestamps
+export function recordingFromPoses(poses, options = {}) {
+  const start = poses.length > 0 ? poses[0].timestamp : 0;
+  const first = poses[0] || {};
+
+  return createRecording({
+    engine: first.engine,
+    imageWidth: first.imageWidth,
+    imageHeight: first.imageHeight,
+    ...options,
+    frames: poses.map((pose) => ({ time: pose.timestamp - start, poses: [pose] }))
+  });
+}
+
+// Parse a recording from JSON text, poses are restored as Pose objects
+export function parseRecording(text) {
+  const data = JSON.parse(text);
+
+  if (data.type !== RECORDING_TYPE || !Array.isArray(data.frames)) {
+    throw new Error('Not a pose recording file');
+  }
+  if (data.version > RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${data.version}`);
+  }
+
+  return {
+    ...data,
+    frames: data.frames.map((frame) => ({
+      time: frame.time,
+      poses: frame.poses.map((pose) => Pose.fromJSON(pose))
+    }))
+  };
+}
+
+export async function readRecording(file) {
+  return parseRecording(await file.text());
+}
+
+// Recording length in ms
+export function recordingDuration(recording) {
+  const frames = recording.frames;
+  return frames.length > 0 ? frames[frames.length - 1].time : 0;
+}
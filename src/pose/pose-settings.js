@@ -0,0 +1,134 @@
+// Pose Settings - Detector and camera options of the pose engines
+//
+// Settings come from the settings panel or the page URL, so a configuration can
+// be shared as a link (e.g. ?model=thunder&resolution=1280x720&smoothing=0):
+//   model          MoveNet variant, lightning (fastest) or thunder (more accurate)
+//   complexity     MediaPipe model complexity, 0 (lite), 1 (full) or 2 (heavy)
+//   detection      MediaPipe minimum detection confidence (0..1)
+//   tracking       MediaPipe minimum tracking confidence (0..1)
+//   poseScore      MoveNet minimum pose score (0..1)
+//   keypointScore  minimum keypoint score to draw, analyze and log a keypoint (0..1),
+//                  not set uses the engine default (MediaPipe 0.5, MoveNet 0.3)
+//   smoothing      detector smoothing across frames (1 or 0)
+//   resolution     camera resolution (WIDTHxHEIGHT, the camera picks the closest)
+//   facing         user (front camera, mirrored) or environment (rear camera, not mirrored)
+//   camera         device ID of a camera (see listCameras), not set picks one by facing
+//   filter         keypoint filter of every engine, none, one-euro or kalman (keypoint-filter.js)
+//   rawView        show the unfiltered and filtered skeletons side by side (1 or 0)
+//
+// Engines apply them without reloading, see PoseEngine.applySettings.
+export const MOVENET_MODELS = ['lightning', 'thunder'];
+export const RESOLUTIONS = ['320x240', '640x480', '1280x720', '1920x1080'];
+export const FACING_MODES = ['user', 'environment'];
+export const FILTERS = ['none', 'one-euro', 'kalman'];
+
+// Settings that need a new camera stream
+export const CAMERA_SETTINGS = ['resolution', 'facing', 'camera'];
+
+export const DEFAULT_SETTINGS = {
+  model: 'lightning',
+  complexity: 1,
+  detection: 0.5,
+  tracking: 0.5,
+  poseScore: 0.25,
+  keypointScore: null,
+  smoothing: true,
+  resolution: '640x480',
+  facing: 'user',
+  camera: '',
+  filter: 'none',
+  rawView: false
+};
+
+// Checks and converts a setting from its text form, undefined if the value is not valid
+function parseValue(key, text) {
+  const number = Number(text);
+  const isScore = text !== '' && number >= 0 && number <= 1;
+
+  switch (key) {
+    case 'model':
+      return MOVENET_MODELS.includes(text) ? text : undefined;
+    case 'complexity':
+      return ['0', '1', '2'].includes(text) ? number : undefined;
+    case 'detection':
+    case 'tracking':
+    case 'poseScore':
+      return isScore ? number : undefined;
+    case 'keypointScore':
+      return text === '' ? null : isScore ? number : undefined;
+    case 'filter':
+      return FILTERS.includes(text) ? text : undefined;
+    case 'smoothing':
+    case 'rawView':
+      return ['1', 'true', 'on'].includes(text) ? true : ['0', 'false', 'off'].includes(text) ? false : undefined;
+    case 'resolution':
+      return /^\d+x\d+$/.test(text) ? text : undefined;
+    case 'facing':
+      return FACING_MODES.includes(text) ? text : undefined;
+    case 'camera':
+      return text;
+    default:
+      return undefined;
+  }
+}
+
+// Settings changed from the defaults, invalid values are ignored
+export function parseSettings(search = window.location.search) {
+  const settings = { ...DEFAULT_SETTINGS };
+  const params = new URLSearchParams(search);
+
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (!params.has(key)) return;
+
+    const value = parseValue(key, params.get(key).trim());
+    if (value === undefined) {
+      console.warn(`⚠️ Invalid ${key} setting "${params.get(key)}", using ${DEFAULT_SETTINGS[key]}`);
+      return;
+    }
+    settings[key] = value;
+  });
+
+  return settings;
+}
+
+// Set a setting from its text form (a panel input value), false if the value is not valid
+export function setSetting(settings, key, text) {
+  const value = parseValue(key, String(text).trim());
+  if (value === undefined) {
+    return false;
+  }
+  settings[key] = value;
+  return true;
+}
+
+// Query string with the settings that differ from the defaults ('' if none)
+export function settingsQuery(settings) {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (settings[key] === DEFAULT_SETTINGS[key]) return;
+
+    const value = settings[key];
+    params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : value === null ? '' : value);
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Video input devices ({ deviceId, label }), labels are only known after camera permission was granted
+export async function listCameras() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return [];
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === 'videoinput')
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+}
+
+// { width, height } of a resolution setting
+export function parseResolution(resolution) {
+  const [width, height] = resolution.split('x').map(Number);
+  return { width, height };
+}
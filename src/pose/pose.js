@@ -0,0 +1,103 @@
+// Pose - Engine independent pose result shared by all pose engines
+//
+// Keypoint names follow the canonical skeleton (skeleton.js), optional keypoints
+// (MediaPipe only) are missing from MoveNet poses and get() returns null for them.
+//
+// Keypoints: { name, x, y, z, score, world }
+//   x, y   normalized image coordinates (0..1, not mirrored)
+//   z      relative depth in the same scale as x (MediaPipe only, null otherwise)
+//   score  confidence of the keypoint (MediaPipe visibility, MoveNet score)
+//   world  3D position in meters centered on the hips (MediaPipe only, null otherwise)
+//
+// id is the person ID assigned by the engine (stable across frames, see person-tracker.js).
+// hands is { left, right } (Hand or null) when hand tracking is on, null otherwise.
+import Hand from './hand.js';
+
+class Pose {
+  constructor({ engine, timestamp, imageWidth, imageHeight, keypoints, score = null, id = null }) {
+    this.engine = engine;
+    this.id = id;
+    this.timestamp = timestamp;
+    this.imageWidth = imageWidth;
+    this.imageHeight = imageHeight;
+    this.keypoints = keypoints;
+
+    // Joint angles in degrees, filled by the engine (see joint-angles.js)
+    this.angles = {};
+
+    // Hands found by the hand tracker, filled by the engine (see hand-tracker.js)
+    this.hands = null;
+
+    // Overall pose score, average keypoint score if the engine doesn't provide one
+    this.score = score !== null ? score : Pose.averageScore(keypoints);
+
+    this.keypointsByName = {};
+    keypoints.forEach((keypoint) => {
+      this.keypointsByName[keypoint.name] = keypoint;
+    });
+  }
+
+  // Keypoint by name, null if not available or below the minimum score
+  get(name, minScore = 0) {
+    const keypoint = this.keypointsByName[name];
+    if (!keypoint || keypoint.score < minScore) {
+      return null;
+    }
+    return keypoint;
+  }
+
+  // True if the first keypoint is above the second one in the image (y grows downwards)
+  // null if any of them is missing, so rules can tell "not above" from "unknown"
+  isAbove(name, otherName, minScore = 0) {
+    const keypoint = this.get(name, minScore);
+    const other = this.get(otherName, minScore);
+    if (!keypoint || !other) {
+      return null;
+    }
+    return keypoint.y < other.y;
+  }
+
+  // Keypoint position in image pixels
+  toPixels(keypoint) {
+    return {
+      x: keypoint.x * this.imageWidth,
+      y: keypoint.y * this.imageHeight
+    };
+  }
+
+  toJSON() {
+    return {
+      engine: this.engine,
+      id: this.id,
+      timestamp: this.timestamp,
+      imageWidth: this.imageWidth,
+      imageHeight: this.imageHeight,
+      score: this.score,
+      keypoints: this.keypoints,
+      angles: this.angles,
+      hands: this.hands
+    };
+  }
+
+  // Pose from toJSON() data (recordings, reference motions)
+  static fromJSON(data) {
+    const pose = new Pose(data);
+    pose.angles = data.angles || {};
+    if (data.hands) {
+      pose.hands = {
+        left: data.hands.left ? Hand.fromJSON(data.hands.left) : null,
+        right: data.hands.right ? Hand.fromJSON(data.hands.right) : null
+      };
+    }
+    return pose;
+  }
+
+  static averageScore(keypoints) {
+    if (keypoints.length === 0) {
+      return 0;
+    }
+    return keypoints.reduce((sum, keypoint) => sum + keypoint.score, 0) / keypoints.length;
+  }
+}
+
+export default Pose;
@@ -0,0 +1,177 @@
+// Rep Counter - Counts repetitions of a training drill from a pose signal
+//
+// A drill follows one signal, a joint angle or a keypoint height, with two
+// thresholds for hysteresis: the signal rests beyond "exit", a rep is reached
+// when it goes past "enter" and is counted when it comes back beyond "exit".
+// Movements that leave the rest zone without reaching "enter" are partial reps.
+//
+// Signals:
+//   { angle: ['left_knee', 'right_knee'] }     joint angles in degrees (see joint-angles.js), averaged
+//   { height: ['left_wrist', 'right_wrist'] }  keypoint height above the shoulders in torso lengths, averaged
+//
+// Used as a PoseEngine analyzer, the counter is shown in the pose status:
+//   const counter = new RepCounter('squat');
+//   counter.onRep = (rep) => console.log(counter.count, rep.duration, rep.range);
+//   engine.addAnalyzer(counter);
+
+// Built-in drills, direction is where the signal goes during a rep ('below' or 'above' enter)
+export const PRESETS = {
+  squat: {
+    label: 'Squats',
+    signal: { angle: ['left_knee', 'right_knee'] },
+    direction: 'below',
+    enter: 100,
+    exit: 160
+  },
+  overhead_reach: {
+    label: 'Overhead reaches',
+    signal: { height: ['left_wrist', 'right_wrist'] },
+    direction: 'above',
+    enter: 0.8,
+    exit: 0.2
+  },
+  hammer_swing: {
+    label: 'Hammer swings',
+    signal: { angle: ['right_elbow'] },
+    direction: 'below',
+    enter: 70,
+    exit: 140
+  }
+};
+
+class RepCounter {
+  constructor(drill = 'squat') {
+    // Called with every counted rep ({index, duration, range, min, max})
+    this.onRep = null;
+
+    this.setDrill(drill);
+  }
+
+  // Use a preset name or a custom drill ({label, signal, direction, enter, exit}), resets the count
+  setDrill(drill) {
+    this.drill = typeof drill === 'string' ? PRESETS[drill] : drill;
+    if (!this.drill) {
+      throw new Error(`Unknown drill: ${drill}`);
+    }
+    this.reset();
+  }
+
+  reset() {
+    this.count = 0;
+    this.partialReps = 0;
+    this.reps = [];
+
+    // 'rest' beyond exit, 'moving' between the thresholds, 'reached' past enter
+    this.phase = 'rest';
+    this.repStart = 0;
+    this.repMin = Infinity;
+    this.repMax = -Infinity;
+    this.value = null;
+  }
+
+  update(pose, engine) {
+    this.value = pose ? this.getSignal(pose, engine.minScore) : null;
+    if (this.value === null) return;
+
+    const { direction, enter, exit } = this.drill;
+    const value = this.value;
+
+    // Signed so that larger is always further into the rep
+    const depth = direction === 'below' ? -value : value;
+    const pastEnter = depth >= (direction === 'below' ? -enter : enter);
+    const atRest = depth <= (direction === 'below' ? -exit : exit);
+
+    if (this.phase === 'rest') {
+      if (!atRest) {
+        this.phase = pastEnter ? 'reached' : 'moving';
+        this.repStart = pose.timestamp;
+        this.repMin = value;
+        this.repMax = value;
+      }
+      return;
+    }
+
+    this.repMin = Math.min(this.repMin, value);
+    this.repMax = Math.max(this.repMax, value);
+
+    if (pastEnter) {
+      this.phase = 'reached';
+    } else if (atRest) {
+      if (this.phase === 'reached') {
+        this.countRep(pose.timestamp);
+      } else {
+        this.partialReps++;
+      }
+      this.phase = 'rest';
+    }
+  }
+
+  // Current drill signal value, null if its keypoints are not visible
+  getSignal(pose, minScore) {
+    const values = this.drill.signal.angle
+      ? this.drill.signal.angle.map((name) => pose.angles[name])
+      : this.drill.signal.height.map((name) => this.getHeight(pose, name, minScore));
+
+    const visible = values.filter((value) => value !== null);
+    return visible.length > 0 ? visible.reduce((sum, value) => sum + value, 0) / visible.length : null;
+  }
+
+  // Height of a keypoint above the mid shoulder, in torso lengths (image y points down)
+  getHeight(pose, name, minScore) {
+    const keypoint = pose.get(name, minScore);
+    const shoulders = ['left_shoulder', 'right_shoulder'].map((n) => pose.get(n, minScore));
+    const hips = ['left_hip', 'right_hip'].map((n) => pose.get(n, minScore));
+    if (!keypoint || shoulders.includes(null) || hips.includes(null)) {
+      return null;
+    }
+
+    const shoulderY = (shoulders[0].y + shoulders[1].y) / 2;
+    const torso = (hips[0].y + hips[1].y) / 2 - shoulderY;
+    return torso > 0 ? (shoulderY - keypoint.y) / torso : null;
+  }
+
+  countRep(timestamp) {
+    this.count++;
+    const rep = {
+      index: this.count,
+      duration: timestamp - this.repStart,
+      range: this.repMax - this.repMin,
+      min: this.repMin,
+      max: this.repMax
+    };
+    this.reps.push(rep);
+
+    console.log(`🔁 Rep ${rep.index}: ${(rep.duration / 1000).toFixed(1)}s, range ${rep.range.toFixed(this.drill.signal.angle ? 0 : 2)}`);
+
+    if (this.onRep) {
+      this.onRep(rep);
+    }
+  }
+
+  // Average rep duration (ms) and range of the last reps
+  getStats(last = 5) {
+    const reps = this.reps.slice(-last);
+    if (reps.length === 0) {
+      return null;
+    }
+
+    return {
+      duration: reps.reduce((sum, rep) => sum + rep.duration, 0) / reps.length,
+      range: reps.reduce((sum, rep) => sum + rep.range, 0) / reps.length
+    };
+  }
+
+  // Counter is shown in the pose status
+  draw() {}
+
+  statusHTML() {
+    const stats = this.getStats();
+    const unit = this.drill.signal.angle ? '°' : ' torso';
+    const range = stats ? ` · ${(stats.duration / 1000).toFixed(1)}s/rep · ROM ${stats.range.toFixed(this.drill.signal.angle ? 0 : 2)}${unit}` : '';
+    const partial = this.partialReps > 0 ? ` · ${this.partialReps} partial` : '';
+
+    return `<span class="rep-count">🔁 ${this.drill.label}: ${this.count}</span>${range}${partial}`;
+  }
+}
+
+export default RepCounter;
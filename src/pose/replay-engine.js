@@ -0,0 +1,147 @@
+// Replay Pose Engine - Plays a pose recording back through the same pipeline as the live engines
+//
+// Poses come from a recording file (pose-recording.js) instead of a detector,
+// so drawing, analyzers and pose callbacks work without a camera. The video
+// recorded with the session is played in the background when provided, and
+// drives the playback time so poses stay in sync. The replay loops.
+//
+//   const engine = new ReplayPoseEngine(recordingFile, videoFile);
+//   engine.addAnalyzer(new LiftAssessment());
+//   await engine.start();
+import PoseEngine from './pose-engine.js';
+import Pose from './pose.js';
+import { readRecording, recordingDuration } from './pose-recording.js';
+
+class ReplayPoseEngine extends PoseEngine {
+  constructor(recordingFile, videoFile = null) {
+    super('replay', 'Replay');
+
+    this.recordingFile = recordingFile;
+    this.videoFile = videoFile;
+    this.videoURL = null;
+    this.recording = null;
+    this.duration = 0;
+
+    // Playback state, timestamps keep growing across loops so analyzers see a continuous session
+    this.frameIndex = 0;
+    this.loopOffset = 0;
+    this.playStart = 0;
+    this.lastTime = 0;
+
+    // Timestamp of the last replayed frame, the frame time of the engine (see getFrameTime)
+    this.frameTimestamp = 0;
+  }
+
+  async loadDetector() {
+    console.log(`📂 Loading recording ${this.recordingFile.name}...`);
+
+    this.recording = await readRecording(this.recordingFile);
+    if (this.recording.frames.length === 0) {
+      throw new Error('Recording has no frames');
+    }
+
+    this.duration = recordingDuration(this.recording);
+
+    // People are tracked again only in recordings with several people
+    this.multiPerson = this.recording.frames.some((frame) => frame.poses.length > 1);
+    this.defaultMinScore = this.recording.minScore;
+    this.updateMinScore();
+    this.displayName = `Replay (${this.recording.engine})`;
+
+    console.log(`✅ ${this.recording.frames.length} frames, ${(this.duration / 1000).toFixed(1)}s`);
+  }
+
+  // Replaces the camera with the recorded video (if any)
+  async startCamera() {
+    this.canvas.width = this.recording.imageWidth;
+    this.canvas.height = this.recording.imageHeight;
+
+    // Shown like the recorded session, recordings without it like the live selfie view
+    this.setMirrored(this.recording.mirrored !== null && this.recording.mirrored !== undefined ? this.recording.mirrored : true);
+
+    if (this.videoFile) {
+      console.log(`🎞️ Playing video ${this.videoFile.name}`);
+
+      this.videoURL = URL.createObjectURL(this.videoFile);
+      this.video.src = this.videoURL;
+      this.video.loop = true;
+      this.video.muted = true;
+
+      await new Promise((resolve, reject) => {
+        this.video.onloadedmetadata = resolve;
+        this.video.onerror = () => reject(new Error('Video could not be loaded'));
+      });
+      await this.video.play();
+    }
+
+    this.playStart = performance.now();
+  }
+
+  // Replays keep the recorded resolution
+  async restartCamera() {}
+
+  // Frames are timed by the recording, so time based analyzers follow the replay
+  getFrameTime() {
+    return this.frameTimestamp;
+  }
+
+  isFrameReady() {
+    return !this.videoFile || this.video.readyState >= this.video.HAVE_CURRENT_DATA;
+  }
+
+  // Playback time in ms, from the video when there is one
+  getPlaybackTime() {
+    if (this.videoFile) {
+      return this.video.currentTime * 1000;
+    }
+
+    let time = performance.now() - this.playStart;
+    if (time > this.duration) {
+      this.playStart = performance.now();
+      time = 0;
+    }
+    return time;
+  }
+
+  // Poses of the latest recorded frame up to the playback time, null if it was already processed
+  async estimate() {
+    const time = this.getPlaybackTime();
+
+    // Playback went back to the start (loop)
+    if (time < this.lastTime) {
+      this.loopOffset += this.duration;
+      this.frameIndex = 0;
+    }
+    this.lastTime = time;
+
+    const frames = this.recording.frames;
+    let next = this.frameIndex;
+    while (next < frames.length && frames[next].time <= time) {
+      next++;
+    }
+
+    if (next === this.frameIndex) {
+      return null;
+    }
+    this.frameIndex = next;
+
+    const frame = frames[next - 1];
+    const timestamp = frame.time + this.loopOffset;
+    this.frameTimestamp = timestamp;
+    return frame.poses.map((pose) => Pose.fromJSON({ ...pose.toJSON(), timestamp }));
+  }
+
+  stop() {
+    super.stop();
+
+    if (this.video) {
+      this.video.loop = false;
+    }
+    if (this.videoURL) {
+      URL.revokeObjectURL(this.videoURL);
+      this.videoURL = null;
+    }
+  }
+}
+
+export default ReplayPoseEngine;
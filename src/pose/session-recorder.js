@@ -0,0 +1,190 @@
+// Session Recorder - Records the poses of a session (and optionally the video) to replay it later
+//
+// Every frame is recorded with all the poses detected, in the pose recording
+// format (pose-recording.js). The video is recorded with MediaRecorder from
+// the camera stream and saved as a separate file next to the recording.
+// Both can be replayed with ReplayPoseEngine.
+//
+// Used as a PoseEngine analyzer:
+//   const recorder = new SessionRecorder({ recordVideo: true });
+//   engine.addAnalyzer(recorder);
+//   recorder.start(); ... await recorder.stop(); recorder.save();
+import { createRecording } from './pose-recording.js';
+import { downloadFile, fileTimestamp } from './download.js';
+
+class SessionRecorder {
+  constructor({ recordVideo = false } = {}) {
+    // Record the camera video too (if MediaRecorder is available)
+    this.recordVideo = recordVideo;
+
+    // Buttons bound with bindControls()
+    this.controls = null;
+
+    this.engine = null;
+    this.mediaRecorder = null;
+    this.reset();
+  }
+
+  reset() {
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      this.mediaRecorder.stop();
+    }
+
+    this.isRecording = false;
+    this.frames = [];
+    this.startTime = null;
+    this.elapsed = 0;
+    this.mediaRecorder = null;
+    this.videoChunks = [];
+
+    // Last completed recording ({recording, video})
+    this.result = null;
+
+    this.updateControls();
+  }
+
+  // Bind the controls of a panel (elements with data-action record, video and save)
+  bindControls(panel) {
+    const element = (action) => panel.querySelector(`[data-action="${action}"]`);
+    this.controls = {
+      record: element('record'),
+      video: element('video'),
+      save: element('save')
+    };
+
+    this.controls.record.onclick = () => (this.isRecording ? this.stop() : this.start());
+    this.controls.video.checked = this.recordVideo;
+    this.controls.video.onchange = () => {
+      this.recordVideo = this.controls.video.checked;
+    };
+    this.controls.save.onclick = () => this.save();
+
+    this.updateControls();
+  }
+
+  updateControls() {
+    if (!this.controls) return;
+
+    this.controls.record.textContent = this.isRecording ? '⏹ Stop Session' : '● Record Session';
+    this.controls.video.disabled = this.isRecording;
+    this.controls.save.disabled = this.isRecording || !this.result;
+  }
+
+  start() {
+    if (this.isRecording) return;
+
+    this.isRecording = true;
+    this.frames = [];
+    this.startTime = null;
+    this.elapsed = 0;
+    this.result = null;
+
+    const stream = this.engine && this.engine.video ? this.engine.video.srcObject : null;
+    if (this.recordVideo) {
+      if (stream && window.MediaRecorder) {
+        this.startVideo(stream);
+      } else {
+        console.warn('⚠️ Video not recorded, no camera stream or MediaRecorder not supported');
+      }
+    }
+
+    this.updateControls();
+    console.log('🎬 Session recording started');
+  }
+
+  startVideo(stream) {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm', 'video/mp4'].find((type) => MediaRecorder.isTypeSupported(type));
+
+    this.videoChunks = [];
+    this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        this.videoChunks.push(event.data);
+      }
+    };
+    this.mediaRecorder.start(1000);
+  }
+
+  // Resolves with the recording ({recording, video}) once the video is finalized
+  async stop() {
+    if (!this.isRecording) return this.result;
+
+    this.isRecording = false;
+
+    let video = null;
+    if (this.mediaRecorder) {
+      const mediaRecorder = this.mediaRecorder;
+      this.mediaRecorder = null;
+
+      if (mediaRecorder.state !== 'inactive') {
+        await new Promise((resolve) => {
+          mediaRecorder.onstop = resolve;
+          mediaRecorder.stop();
+        });
+      }
+      video = new Blob(this.videoChunks, { type: mediaRecorder.mimeType });
+      this.videoChunks = [];
+    }
+
+    const engine = this.engine;
+    this.result = {
+      recording: createRecording({
+        engine: engine ? engine.name : null,
+        imageWidth: engine ? engine.canvas.width : null,
+        imageHeight: engine ? engine.canvas.height : null,
+        minScore: engine ? engine.minScore : 0.5,
+        fps: engine ? engine.fps : null,
+        mirrored: engine ? engine.mirrored : null,
+        frames: this.frames
+      }),
+      video
+    };
+    this.frames = [];
+
+    this.updateControls();
+    console.log(`✅ Session recorded: ${this.result.recording.frames.length} frames${video ? ' + video' : ''}`);
+    return this.result;
+  }
+
+  // Download the recording (and video) of the last session
+  save() {
+    if (!this.result) return;
+
+    const name = `pose-session-${fileTimestamp()}`;
+    downloadFile(`${name}.json`, JSON.stringify(this.result.recording));
+
+    if (this.result.video) {
+      const extension = this.result.video.type.includes('mp4') ? 'mp4' : 'webm';
+      downloadFile(`${name}.${extension}`, this.result.video);
+    }
+  }
+
+  update(pose, engine) {
+    this.engine = engine;
+    if (!this.isRecording) return;
+
+    const now = engine.frameTime;
+    if (this.startTime === null) {
+      this.startTime = now;
+    }
+    this.elapsed = now - this.startTime;
+
+    // All the people of the frame, nobody detected is recorded as an empty frame
+    this.frames.push({ time: this.elapsed, poses: engine.poses.map((p) => p.toJSON()) });
+  }
+
+  // Recording state is shown in the pose status
+  draw() {}
+
+  statusHTML() {
+    if (this.isRecording) {
+      return `🔴 Recording session ${(this.elapsed / 1000).toFixed(1)}s · ${this.frames.length} frames`;
+    }
+    if (this.result) {
+      return `💾 Session recorded: ${this.result.recording.frames.length} frames`;
+    }
+    return '';
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,118 @@
+// Skeleton - Canonical keypoint schema shared by all pose engines
+//
+// Both engines are mapped onto one named set of keypoints, so rules written with
+// keypoint names (e.g. "left_wrist above left_shoulder") work on either engine.
+// Keypoints marked optional are only provided by MediaPipe (33 landmarks),
+// MoveNet (17 keypoints) provides the required ones only.
+
+// Canonical keypoints, required first (MoveNet order) then MediaPipe only
+export const KEYPOINTS = [
+  { name: 'nose', optional: false },
+  { name: 'left_eye', optional: false },
+  { name: 'right_eye', optional: false },
+  { name: 'left_ear', optional: false },
+  { name: 'right_ear', optional: false },
+  { name: 'left_shoulder', optional: false },
+  { name: 'right_shoulder', optional: false },
+  { name: 'left_elbow', optional: false },
+  { name: 'right_elbow', optional: false },
+  { name: 'left_wrist', optional: false },
+  { name: 'right_wrist', optional: false },
+  { name: 'left_hip', optional: false },
+  { name: 'right_hip', optional: false },
+  { name: 'left_knee', optional: false },
+  { name: 'right_knee', optional: false },
+  { name: 'left_ankle', optional: false },
+  { name: 'right_ankle', optional: false },
+  { name: 'left_eye_inner', optional: true },
+  { name: 'left_eye_outer', optional: true },
+  { name: 'right_eye_inner', optional: true },
+  { name: 'right_eye_outer', optional: true },
+  { name: 'mouth_left', optional: true },
+  { name: 'mouth_right', optional: true },
+  { name: 'left_pinky', optional: true },
+  { name: 'right_pinky', optional: true },
+  { name: 'left_index', optional: true },
+  { name: 'right_index', optional: true },
+  { name: 'left_thumb', optional: true },
+  { name: 'right_thumb', optional: true },
+  { name: 'left_heel', optional: true },
+  { name: 'right_heel', optional: true },
+  { name: 'left_foot_index', optional: true },
+  { name: 'right_foot_index', optional: true }
+];
+
+export const KEYPOINT_NAMES = KEYPOINTS.map((keypoint) => keypoint.name);
+
+// Canonical name of each engine landmark, indexed by the engine landmark index
+export const ENGINE_KEYPOINTS = {
+  // MediaPipe Pose landmarks (33 keypoints)
+  mediapipe: [
+    'nose', 'left_eye_inner', 'left_eye', 'left_eye_outer', 'right_eye_inner',
+    'right_eye', 'right_eye_outer', 'left_ear', 'right_ear', 'mouth_left',
+    'mouth_right', 'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+    'left_wrist', 'right_wrist', 'left_pinky', 'right_pinky', 'left_index',
+    'right_index', 'left_thumb', 'right_thumb', 'left_hip', 'right_hip',
+    'left_knee', 'right_knee', 'left_ankle', 'right_ankle', 'left_heel',
+    'right_heel', 'left_foot_index', 'right_foot_index'
+  ],
+
+  // MoveNet keypoints (17 keypoints)
+  movenet: [
+    'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+    'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+    'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+    'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+  ]
+};
+
+// Body connections drawn as the skeleton (available on every engine)
+export const CONNECTIONS = [
+  ['left_shoulder', 'right_shoulder'],
+  ['left_shoulder', 'left_elbow'], ['left_elbow', 'left_wrist'],
+  ['right_shoulder', 'right_elbow'], ['right_elbow', 'right_wrist'],
+  ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'],
+  ['left_hip', 'right_hip'],
+  ['left_hip', 'left_knee'], ['left_knee', 'left_ankle'],
+  ['right_hip', 'right_knee'], ['right_knee', 'right_ankle']
+];
+
+// Keypoints shown in the position log (nose, shoulders, wrists, hands, hips)
+export const IMPORTANT_KEYPOINTS = [
+  'nose', 'left_shoulder', 'right_shoulder', 'left_wrist', 'right_wrist',
+  'left_index', 'right_index', 'left_thumb', 'right_thumb', 'left_hip', 'right_hip'
+];
+
+// Hand keypoints (MediaPipe Hands landmark order, 21 keypoints)
+export const HAND_KEYPOINTS = [
+  'wrist',
+  'thumb_cmc', 'thumb_mcp', 'thumb_ip', 'thumb_tip',
+  'index_finger_mcp', 'index_finger_pip', 'index_finger_dip', 'index_finger_tip',
+  'middle_finger_mcp', 'middle_finger_pip', 'middle_finger_dip', 'middle_finger_tip',
+  'ring_finger_mcp', 'ring_finger_pip', 'ring_finger_dip', 'ring_finger_tip',
+  'pinky_finger_mcp', 'pinky_finger_pip', 'pinky_finger_dip', 'pinky_finger_tip'
+];
+
+// Keypoint chain of each finger, from its base joint (CMC for the thumb, MCP for the others) to the tip
+export const FINGERS = {
+  thumb: ['thumb_cmc', 'thumb_mcp', 'thumb_ip', 'thumb_tip'],
+  index: ['index_finger_mcp', 'index_finger_pip', 'index_finger_dip', 'index_finger_tip'],
+  middle: ['middle_finger_mcp', 'middle_finger_pip', 'middle_finger_dip', 'middle_finger_tip'],
+  ring: ['ring_finger_mcp', 'ring_finger_pip', 'ring_finger_dip', 'ring_finger_tip'],
+  pinky: ['pinky_finger_mcp', 'pinky_finger_pip', 'pinky_finger_dip', 'pinky_finger_tip']
+};
+
+// Palm outline joining the wrist to the finger bases (MediaPipe Hands connections)
+export const PALM = ['thumb_cmc', 'wrist', 'index_finger_mcp', 'middle_finger_mcp', 'ring_finger_mcp',
+  'pinky_finger_mcp', 'wrist'];
+
+export function isOptional(name) {
+  const keypoint = KEYPOINTS.find((kp) => kp.name === name);
+  return keypoint ? keypoint.optional : false;
+}
+
+// Canonical name of an engine landmark index (null if the engine or index is unknown)
+export function keypointName(engine, index) {
+  const names = ENGINE_KEYPOINTS[engine];
+  return names && index < names.length ? names[index] : null;
+}
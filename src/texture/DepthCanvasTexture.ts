@@ -0,0 +1,80 @@
+import {CanvasTexture, NearestFilter} from "three";
+import {XRCPUDepthInformation} from "../types";
+
+/**
+ * Canvas texture with the depth data drawn as a grayscale image.
+ * 
+ * Closer surfaces are drawn brighter, anything beyond the max depth is drawn black.
+ * 
+ * The canvas is accessible on CPU, so it can be displayed in the DOM for debug purposes.
+ */
+export class DepthCanvasTexture extends CanvasTexture
+{
+	/**
+	 * Maximum depth in meters represented in the canvas.
+	 */
+	public maxDepth: number;
+
+	/**
+	 * Context used to draw into the canvas.
+	 */
+	public context: CanvasRenderingContext2D;
+
+	/**
+	 * Image data written into the canvas.
+	 */
+	public imageData: ImageData = null;
+
+	public constructor(canvas: HTMLCanvasElement, maxDepth: number = 5.0)
+	{
+		super(canvas);
+
+		this.maxDepth = maxDepth;
+		this.context = canvas.getContext("2d");
+		this.magFilter = NearestFilter;
+		this.minFilter = NearestFilter;
+		this.generateMipmaps = false;
+	}
+
+	/**
+	 * Draw the depth data into the canvas.
+	 * 
+	 * Depth is sampled in normalized view coordinates so the image is aligned with the camera view.
+	 * 
+	 * @param depthData - CPU depth data obtained from the XR frame.
+	 */
+	public updateDepth(depthData: XRCPUDepthInformation): void
+	{
+		const canvas: HTMLCanvasElement = this.image;
+		const width = depthData.width;
+		const height = depthData.height;
+
+		if (canvas.width !== width || canvas.height !== height || !this.imageData)
+		{
+			canvas.width = width;
+			canvas.height = height;
+			this.imageData = this.context.createImageData(width, height);
+			this.dispose();
+		}
+
+		const pixels = this.imageData.data;
+
+		for (let y = 0; y < height; y++)
+		{
+			for (let x = 0; x < width; x++)
+			{
+				const distance = depthData.getDepthInMeters(x / width, y / height);
+				const value = distance > 0 && distance < this.maxDepth ? 255 - Math.round(distance / this.maxDepth * 255) : 0;
+
+				const index = (y * width + x) * 4;
+				pixels[index] = value;
+				pixels[index + 1] = value;
+				pixels[index + 2] = value;
+				pixels[index + 3] = 255;
+			}
+		}
+
+		this.context.putImageData(this.imageData, 0, 0);
+		this.needsUpdate = true;
+	}
+}
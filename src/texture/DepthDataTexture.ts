@@ -0,0 +1,45 @@
+import {DataTexture, LuminanceAlphaFormat, UnsignedByteType, NearestFilter, ClampToEdgeWrapping} from "three";
+import {XRCPUDepthInformation} from "../types";
+
+/**
+ * Depth data texture contains the raw depth buffer provided by the XR system.
+ * 
+ * Data is stored in luminance-alpha format (two bytes per pixel), the value in meters can be obtained by multiplying the packed 16 bit value by the rawValueToMeters of the depth data.
+ * 
+ * Coordinates of the texture are in depth buffer space, the normDepthBufferFromNormView matrix of the depth data should be used to convert from normalized view coordinates.
+ */
+export class DepthDataTexture extends DataTexture
+{
+	public constructor()
+	{
+		super(new Uint8Array(2), 1, 1, LuminanceAlphaFormat, UnsignedByteType);
+
+		// High and low bytes of the depth value can't be interpolated separately
+		this.magFilter = NearestFilter;
+		this.minFilter = NearestFilter;
+		this.wrapS = ClampToEdgeWrapping;
+		this.wrapT = ClampToEdgeWrapping;
+		this.generateMipmaps = false;
+	}
+
+	/**
+	 * Update the texture with new depth data.
+	 * 
+	 * If the size of the depth buffer changes the texture is disposed and allocated again.
+	 * 
+	 * @param depthData - CPU depth data obtained from the XR frame.
+	 */
+	public updateDepth(depthData: XRCPUDepthInformation): void
+	{
+		const data = new Uint8Array(depthData.data);
+
+		if (this.image.width !== depthData.width || this.image.height !== depthData.height)
+		{
+			this.image = {data: new Uint8Array(data.length), width: depthData.width, height: depthData.height};
+			this.dispose();
+		}
+
+		this.image.data.set(data);
+		this.needsUpdate = true;
+	}
+}
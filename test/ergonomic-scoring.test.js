@@ -0,0 +1,106 @@
+// Ergonomic Scoring - RULA and REBA scores of known postures
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ErgonomicScorer from '../src/pose/ergonomic-scoring.js';
+
+// Angles of a pose, joints not given are not visible
+function angles(values) {
+  return {
+    left_elbow: null, right_elbow: null, left_shoulder: null, right_shoulder: null,
+    left_hip: null, right_hip: null, left_knee: null, right_knee: null,
+    left_wrist: null, right_wrist: null, back: null, neck: null,
+    ...values
+  };
+}
+
+const NEUTRAL = angles({ back: 0, neck: 0, left_shoulder: 10, left_elbow: 100, left_knee: 180, right_knee: 180 });
+
+// Bent back and neck, raised arm with a straight elbow, knees bent 90°
+const AWKWARD = angles({ back: 70, neck: 30, left_shoulder: 100, left_elbow: 170, left_knee: 90, right_knee: 90 });
+
+test('neutral posture has the lowest scores', () => {
+  const { rula, reba } = new ErgonomicScorer().score(NEUTRAL);
+
+  assert.equal(rula.scoreA, 1);
+  assert.equal(rula.scoreB, 1);
+  assert.equal(rula.score, 1);
+  assert.equal(rula.actionLevel, 1);
+  assert.equal(rula.action, 'Acceptable');
+
+  assert.equal(reba.score, 1);
+  assert.equal(reba.actionLevel, 0);
+  assert.equal(reba.action, 'Negligible risk');
+});
+
+test('awkward posture is scored from the RULA and REBA tables', () => {
+  const { rula, reba } = new ErgonomicScorer().score(AWKWARD);
+
+  assert.deepEqual(
+    { upperArm: rula.upperArm, lowerArm: rula.lowerArm, wrist: rula.wrist, neck: rula.neck, trunk: rula.trunk, legs: rula.legs },
+    { upperArm: 4, lowerArm: 2, wrist: 1, neck: 3, trunk: 4, legs: 1 }
+  );
+  assert.equal(rula.scoreA, 4);
+  assert.equal(rula.scoreB, 5);
+  assert.equal(rula.score, 5);
+  assert.equal(rula.actionLevel, 3);
+
+  assert.deepEqual(
+    { trunk: reba.trunk, neck: reba.neck, legs: reba.legs, upperArm: reba.upperArm, lowerArm: reba.lowerArm, wrist: reba.wrist },
+    { trunk: 4, neck: 2, legs: 3, upperArm: 4, lowerArm: 2, wrist: 1 }
+  );
+  assert.equal(reba.scoreA, 7);
+  assert.equal(reba.scoreB, 5);
+  assert.equal(reba.score, 9);
+  assert.equal(reba.actionLevel, 3);
+});
+
+test('task factors are added to the scores', () => {
+  const { rula, reba } = new ErgonomicScorer({ rulaLoad: 1, rebaLoad: 2 }).score(NEUTRAL);
+
+  assert.equal(rula.score, 2);
+  assert.equal(reba.scoreA, 3);
+  assert.equal(reba.score, 2);
+
+  const active = new ErgonomicScorer({ activity: 1, legsSupported: false }).score(NEUTRAL);
+  assert.equal(active.rula.legs, 2);
+  assert.equal(active.reba.legs, 2);
+  assert.equal(active.reba.score, 2);
+});
+
+test('worst side is kept', () => {
+  const scores = new ErgonomicScorer().score({ ...NEUTRAL, right_shoulder: 100, right_elbow: 170 });
+
+  assert.equal(scores.rula.upperArm, 4);
+  assert.equal(scores.rula.lowerArm, 2);
+});
+
+test('no scores without the trunk or an arm', () => {
+  const scorer = new ErgonomicScorer();
+
+  assert.equal(scorer.score({ ...NEUTRAL, back: null }), null);
+  assert.equal(scorer.score({ ...NEUTRAL, left_shoulder: null }), null);
+});
+
+test('timeline is sampled at the interval and exported as CSV', () => {
+  const scorer = new ErgonomicScorer({ interval: 250 });
+  [1000, 1100, 1300, 1400, 1600].forEach((timestamp) => scorer.update({ timestamp, angles: NEUTRAL }));
+
+  assert.deepEqual(scorer.timeline.map((sample) => sample.time), [0, 0.3, 0.6]);
+
+  const lines = scorer.toCSV().split('\n');
+  assert.equal(lines.length, 4);
+  assert.ok(lines[0].startsWith('time,rula_upperArm,'));
+  assert.equal(lines[1].split(',').length, lines[0].split(',').length);
+  assert.equal(lines[2].split(',')[0], '0.300');
+});
+
+test('pose gets the latest scores', () => {
+  const scorer = new ErgonomicScorer();
+  const pose = { timestamp: 0, angles: NEUTRAL };
+  scorer.update(pose);
+
+  assert.equal(pose.ergonomics, scorer.scores);
+
+  scorer.update(null);
+  assert.equal(scorer.scores, null);
+});
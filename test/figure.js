@@ -0,0 +1,28 @@
+// Synthetic side view figures for the pose analysis tests
+import Pose from '../src/pose/pose.js';
+
+const SIZE = 1000;
+const rad = (degrees) => degrees * Math.PI / 180;
+
+// Pose of a person seen from the side, ankles on the ground (image pixels, y points down):
+// backAngle is the torso inclination from vertical, kneeFlexion the bend of both knees
+// (0 = straight legs) and handY the height of the wrists (normalized)
+export function figure({ backAngle = 0, kneeFlexion = 0, handY = 0.45, timestamp = 0 } = {}) {
+  const ankle = { x: 500, y: 900 };
+  const knee = { x: 500, y: 700 };
+  const hip = { x: knee.x - 200 * Math.sin(rad(kneeFlexion)), y: knee.y - 200 * Math.cos(rad(kneeFlexion)) };
+  const shoulder = { x: hip.x + 300 * Math.sin(rad(backAngle)), y: hip.y - 300 * Math.cos(rad(backAngle)) };
+  const ear = { x: shoulder.x + 80 * Math.sin(rad(backAngle)), y: shoulder.y - 80 * Math.cos(rad(backAngle)) };
+  const wrist = { x: shoulder.x, y: handY * SIZE };
+  const elbow = { x: shoulder.x, y: (shoulder.y + wrist.y) / 2 };
+
+  const points = { ear, shoulder, elbow, wrist, hip, knee, ankle };
+  const keypoints = [];
+  ['left', 'right'].forEach((side) => {
+    Object.entries(points).forEach(([name, point]) => {
+      keypoints.push({ name: `${side}_${name}`, x: point.x / SIZE, y: point.y / SIZE, z: null, score: 0.9, world: null });
+    });
+  });
+
+  return new Pose({ engine: 'test', id: 1, timestamp, imageWidth: SIZE, imageHeight: SIZE, keypoints });
+}
@@ -0,0 +1,62 @@
+// Hand - Hands attached to the person whose wrist is nearest
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Hand, { assignHands } from '../src/pose/hand.js';
+import Pose from '../src/pose/pose.js';
+
+// Pose with both wrists at normalized positions
+function pose(id, left, right, score = 0.9) {
+  const keypoint = (name, [x, y]) => ({ name, x, y, z: null, score, world: null });
+  return new Pose({
+    engine: 'test',
+    id,
+    timestamp: 0,
+    imageWidth: 640,
+    imageHeight: 480,
+    keypoints: [keypoint('left_wrist', left), keypoint('right_wrist', right)]
+  });
+}
+
+// Hand with its wrist at a normalized position
+function hand(handedness, [x, y], score = 0.9) {
+  return new Hand({ handedness, score, keypoints: [{ name: 'wrist', x, y, z: null, score: 1, world: null }] });
+}
+
+test('hands of the same side go to the person with the nearest wrist', () => {
+  const trainee = pose(1, [0.2, 0.5], [0.3, 0.5]);
+  const spotter = pose(2, [0.7, 0.5], [0.8, 0.5]);
+
+  // Spotter's hand is the most confident one
+  const traineeHand = hand('right', [0.31, 0.51], 0.6);
+  const spotterHand = hand('right', [0.79, 0.5], 0.99);
+
+  const [traineeHands, spotterHands] = assignHands([trainee, spotter], [spotterHand, traineeHand]);
+  assert.equal(traineeHands.right, traineeHand);
+  assert.equal(spotterHands.right, spotterHand);
+  assert.equal(traineeHands.left, null);
+  assert.equal(spotterHands.left, null);
+});
+
+test('closest hand wins when two hands of a side are near one wrist', () => {
+  const person = pose(1, [0.2, 0.5], [0.3, 0.5]);
+  const near = hand('left', [0.21, 0.5]);
+  const far = hand('left', [0.25, 0.5]);
+
+  const [hands] = assignHands([person], [far, near]);
+  assert.equal(hands.left, near);
+});
+
+test('hands far from every wrist are dropped', () => {
+  const person = pose(1, [0.2, 0.5], [0.3, 0.5]);
+
+  const [hands] = assignHands([person], [hand('right', [0.9, 0.9])], { maxDistance: 0.1 });
+  assert.deepEqual(hands, { left: null, right: null });
+});
+
+test('wrists below the minimum score are not matched', () => {
+  const person = pose(1, [0.2, 0.5], [0.3, 0.5], 0.2);
+
+  const [hands] = assignHands([person], [hand('left', [0.2, 0.5])], { minScore: 0.5 });
+  assert.equal(hands.left, null);
+  assert.deepEqual(assignHands([], [hand('left', [0.2, 0.5])]), []);
+});
@@ -0,0 +1,75 @@
+// Joint Angles - Joint, back and neck angles of known postures
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeJointAngles, vectorAngle } from '../src/pose/joint-angles.js';
+import Pose from '../src/pose/pose.js';
+import { figure } from './figure.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-4, `${actual} !== ${expected}`);
+
+test('vector angle in degrees', () => {
+  close(vectorAngle({ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }), 90);
+  close(vectorAngle({ x: 1, y: 1, z: 0 }, { x: 2, y: 2, z: 0 }), 0);
+  close(vectorAngle({ x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: -3 }), 180);
+  assert.equal(vectorAngle({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }), null);
+});
+
+test('standing straight has extended joints and an upright back', () => {
+  const angles = computeJointAngles(figure());
+
+  close(angles.left_knee, 180);
+  close(angles.right_hip, 180);
+  close(angles.back, 0);
+  close(angles.neck, 0);
+});
+
+test('knee, hip and back angles follow the posture', () => {
+  const angles = computeJointAngles(figure({ backAngle: 30, kneeFlexion: 90 }));
+
+  close(angles.left_knee, 90);
+  close(angles.right_knee, 90);
+  close(angles.back, 30);
+  close(angles.neck, 0);
+
+  // Thigh is horizontal towards the front, the torso leans 30° forward: 90 - 30 between them
+  close(angles.left_hip, 60);
+});
+
+test('elbow angle from the arm keypoints', () => {
+  const angles = computeJointAngles(figure({ handY: 0.5 }));
+
+  // Wrist hangs straight below the shoulder
+  close(angles.left_elbow, 180);
+});
+
+test('angles are null when a keypoint is below the minimum score', () => {
+  const pose = figure();
+  pose.get('left_knee').score = 0.1;
+  pose.get('left_ear').score = 0.1;
+
+  const angles = computeJointAngles(pose, 0.5);
+  assert.equal(angles.left_knee, null);
+  assert.equal(angles.left_hip, null);
+  assert.equal(angles.neck, null);
+  close(angles.right_knee, 180);
+  assert.equal(angles.left_wrist, null);
+});
+
+test('world coordinates are used when every keypoint has them', () => {
+  const keypoint = (name, x, y, world) => ({ name, x, y, z: null, score: 0.9, world });
+
+  // Image says a straight leg, world coordinates a right angle
+  const pose = new Pose({
+    engine: 'test',
+    timestamp: 0,
+    imageWidth: 100,
+    imageHeight: 100,
+    keypoints: [
+      keypoint('left_hip', 0.5, 0.5, { x: 0, y: 0, z: 0 }),
+      keypoint('left_knee', 0.5, 0.6, { x: 0, y: 0.4, z: 0 }),
+      keypoint('left_ankle', 0.5, 0.7, { x: 0, y: 0.4, z: 0.4 })
+    ]
+  });
+
+  close(computeJointAngles(pose).left_knee, 90);
+});
@@ -0,0 +1,122 @@
+// Keypoint Filter - One Euro and Kalman filters and the per person pose filter
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PoseFilter, { OneEuroFilter, KalmanFilter, jointGroup } from '../src/pose/keypoint-filter.js';
+import Pose from '../src/pose/pose.js';
+
+// Pose of a person with a nose and a left wrist at an x position
+function pose(id, x, timestamp, score = 0.9) {
+  const keypoint = (name) => ({ name, x, y: 0.5, z: null, score, world: { x, y: 0, z: 0 } });
+  return new Pose({ engine: 'test', id, timestamp, imageWidth: 640, imageHeight: 480, keypoints: [keypoint('nose'), keypoint('left_wrist')] });
+}
+
+// Filters a signal sampled at 30 Hz, returns the filtered values
+function run(filter, values) {
+  return values.map((value, index) => filter.filter(value, index / 30));
+}
+
+test('one euro filter passes the first value and converges to a constant', () => {
+  const values = run(new OneEuroFilter({ minCutoff: 1, beta: 0 }), [0, 1, 1, 1, 1, 1, 1, 1, 1, 1]);
+
+  assert.equal(values[0], 0);
+  values.slice(1).forEach((value, index) => {
+    assert.ok(value > values[index] && value < 1);
+  });
+});
+
+test('one euro filter smooths jitter while still and follows fast moves with beta', () => {
+  const jitter = Array.from({ length: 30 }, (_, index) => (index % 2 === 0 ? 0.01 : -0.01));
+  const still = run(new OneEuroFilter({ minCutoff: 1, beta: 0 }), jitter);
+  assert.ok(Math.max(...still.slice(10).map(Math.abs)) < 0.005);
+
+  const move = Array.from({ length: 10 }, (_, index) => index * 0.1);
+  const slow = run(new OneEuroFilter({ minCutoff: 1, beta: 0 }), move);
+  const fast = run(new OneEuroFilter({ minCutoff: 1, beta: 10 }), move);
+  assert.ok(Math.abs(fast[9] - move[9]) < Math.abs(slow[9] - move[9]));
+});
+
+test('one euro filter restarts when time does not advance', () => {
+  const filter = new OneEuroFilter();
+  filter.filter(0, 1);
+  filter.filter(1, 1.1);
+
+  assert.equal(filter.filter(5, 1), 5);
+});
+
+test('kalman filter weighs measurements by the noise', () => {
+  const smooth = run(new KalmanFilter({ processNoise: 0.001, measurementNoise: 0.01 }), [0, 1]);
+  const responsive = run(new KalmanFilter({ processNoise: 1, measurementNoise: 0.0001 }), [0, 1]);
+
+  // First value is as uncertain as a measurement, little process noise keeps it about halfway
+  assert.equal(smooth[0], 0);
+  assert.ok(smooth[1] > 0.4 && smooth[1] < 0.6);
+  assert.ok(responsive[1] > 0.9 && responsive[1] < 1);
+});
+
+test('reset forgets the previous values', () => {
+  [new OneEuroFilter(), new KalmanFilter()].forEach((filter) => {
+    filter.filter(0, 0);
+    filter.reset();
+    assert.equal(filter.filter(3, 1), 3);
+  });
+});
+
+test('joint groups and parameter overrides', () => {
+  assert.equal(jointGroup('nose'), 'head');
+  assert.equal(jointGroup('left_hip'), 'torso');
+  assert.equal(jointGroup('right_ankle'), 'extremities');
+  assert.equal(jointGroup('left_elbow'), 'limbs');
+
+  const filter = new PoseFilter({ type: 'one-euro', joints: { extremities: { beta: 30 }, left_wrist: { minCutoff: 3 } } });
+  assert.deepEqual(filter.getParams('left_wrist'), { minCutoff: 3, beta: 30, dCutoff: 1 });
+  assert.deepEqual(filter.getParams('right_wrist'), { minCutoff: 1.5, beta: 30, dCutoff: 1 });
+  assert.deepEqual(filter.getParams('nose'), { minCutoff: 1, beta: 10, dCutoff: 1 });
+
+  assert.throws(() => new PoseFilter({ type: 'average' }), /Unknown filter type/);
+});
+
+test('pose filter returns a filtered copy and keeps the original pose', () => {
+  const filter = new PoseFilter({ type: 'kalman' });
+  filter.filter(pose(1, 0.2, 0));
+
+  const original = pose(1, 0.4, 33);
+  original.hands = { left: null, right: null };
+  const filtered = filter.filter(original);
+
+  assert.ok(filtered instanceof Pose);
+  assert.equal(original.get('nose').x, 0.4);
+  assert.ok(filtered.get('nose').x > 0.2 && filtered.get('nose').x < 0.4);
+  assert.ok(filtered.get('nose').world.x > 0.2 && filtered.get('nose').world.x < 0.4);
+  assert.equal(filtered.id, 1);
+  assert.equal(filtered.timestamp, 33);
+  assert.equal(filtered.hands, original.hands);
+});
+
+test('keypoints below the minimum score are passed through', () => {
+  const filter = new PoseFilter();
+  filter.filter(pose(1, 0.2, 0), 0.5);
+
+  const low = pose(1, 0.8, 33, 0.1);
+  const filtered = filter.filter(low, 0.5);
+  assert.equal(filtered.get('nose'), low.get('nose'));
+
+  // Filter was not updated by the low score keypoint
+  const next = filter.filter(pose(1, 0.2, 66), 0.5);
+  assert.equal(next.get('nose').x, 0.2);
+});
+
+test('each person has their own filters and people that left are forgotten', () => {
+  const filter = new PoseFilter();
+  filter.filterPoses([pose(1, 0.2, 0), pose(2, 0.8, 0)]);
+
+  const [first, second] = filter.filterPoses([pose(1, 0.2, 33), pose(2, 0.8, 33)]);
+  assert.equal(first.get('nose').x, 0.2);
+  assert.equal(second.get('nose').x, 0.8);
+
+  filter.filterPoses([pose(1, 0.2, 66)]);
+  assert.deepEqual(Array.from(filter.people.keys()), [1]);
+
+  // Person 2 starts from their new position when they come back
+  const [, back] = filter.filterPoses([pose(1, 0.2, 100), pose(2, 0.5, 100)]);
+  assert.equal(back.get('nose').x, 0.5);
+});
@@ -0,0 +1,108 @@
+// Lift Assessment - Squat lifts, stoop lifts and carries from synthetic poses
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LiftAssessment from '../src/pose/lift-assessment.js';
+import { computeJointAngles } from '../src/pose/joint-angles.js';
+import { figure } from './figure.js';
+
+// Runs postures through the assessment, one frame every 100 ms
+function run(lift, postures, start = 0) {
+  postures.forEach((posture, index) => {
+    const timestamp = start + index * 100;
+    const pose = figure({ ...posture, timestamp });
+    pose.angles = computeJointAngles(pose);
+    lift.update(pose, { minScore: 0.5, frameTime: timestamp });
+  });
+}
+
+const repeat = (posture, frames) => Array.from({ length: frames }, () => posture);
+
+// Standing with the hands above the hips (hips at y 0.5, torso 0.3 long)
+const STAND = { handY: 0.45 };
+
+// Standing with a box held a little below the hips
+const CARRY = { handY: 0.55 };
+
+// Knees bent, back almost straight, hands on the floor
+const SQUAT = { backAngle: 20, kneeFlexion: 90, handY: 0.8 };
+
+// Legs almost straight, back bent forward, hands on the floor
+const STOOP = { backAngle: 80, kneeFlexion: 10, handY: 0.8 };
+
+test('squat lift is a good lift', () => {
+  const lift = new LiftAssessment();
+  const summaries = [];
+  lift.onLift = (summary) => summaries.push(summary);
+
+  run(lift, [...repeat(STAND, 3), ...repeat(SQUAT, 5), ...repeat(STAND, 5)]);
+
+  assert.equal(summaries.length, 1);
+  const [summary] = summaries;
+  assert.equal(summary.bentAtWaist, false);
+  assert.equal(summary.flaggedRatio, 0);
+  assert.ok(Math.abs(summary.maxKneeFlexion - 90) < 1e-6);
+  assert.equal(lift.isLifting, false);
+});
+
+test('stoop lift is flagged as bending at the waist', () => {
+  const lift = new LiftAssessment();
+  run(lift, [...repeat(STAND, 3), ...repeat(STOOP, 4)]);
+
+  assert.equal(lift.isLifting, true);
+  assert.equal(lift.warning, true);
+
+  run(lift, repeat(STAND, 5), 700);
+
+  assert.equal(lift.lifts.length, 1);
+  assert.equal(lift.lifts[0].bentAtWaist, true);
+  assert.ok(Math.abs(lift.lifts[0].maxBackAngle - 80) < 1e-6);
+  assert.equal(lift.warning, false);
+});
+
+test('lift ends while carrying the load below the hips', () => {
+  const lift = new LiftAssessment({ endFrames: 5 });
+  run(lift, [...repeat(SQUAT, 3), ...repeat(CARRY, 4)]);
+
+  assert.equal(lift.isLifting, true);
+
+  run(lift, [CARRY], 700);
+  assert.equal(lift.isLifting, false);
+  assert.equal(lift.lifts.length, 1);
+
+  // Duration from the first lifting frame to the frame that ended it
+  assert.equal(lift.lifts[0].duration, 700);
+});
+
+test('lift goes on while the hands are still low', () => {
+  const lift = new LiftAssessment();
+  run(lift, [...repeat(SQUAT, 3), ...repeat({ handY: 0.65 }, 10)]);
+
+  assert.equal(lift.isLifting, true);
+  assert.equal(lift.lifts.length, 0);
+});
+
+test('bending without lifting is not flagged', () => {
+  const lift = new LiftAssessment();
+
+  // Back bent with straight legs, hands between the hips and the knees
+  run(lift, repeat({ backAngle: 60, handY: 0.6 }, 5));
+
+  assert.equal(lift.isLifting, false);
+  assert.equal(lift.warning, false);
+});
+
+test('summary is shown for its duration in frame time', () => {
+  const lift = new LiftAssessment({ summaryDuration: 4000 });
+  run(lift, [...repeat(SQUAT, 3), ...repeat(STAND, 5)]);
+
+  assert.equal(lift.summaryUntil, 700 + 4000);
+});
+
+test('lift is discarded when the person is lost', () => {
+  const lift = new LiftAssessment({ maxLostFrames: 2 });
+  run(lift, repeat(SQUAT, 3));
+  [1, 2, 3].forEach(() => lift.update(null, { minScore: 0.5, frameTime: 0 }));
+
+  assert.equal(lift.isLifting, false);
+  assert.equal(lift.lifts.length, 0);
+});
@@ -0,0 +1,118 @@
+// Motion Comparison - Pose normalization, dynamic time warping and attempt scoring
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MotionComparison, { normalizePose, dynamicTimeWarping } from '../src/pose/motion-comparison.js';
+import Pose from '../src/pose/pose.js';
+
+// Standing pose (torso 0.2 high) with the wrists at a height, optionally scaled and moved in the image
+function armPose(wristY, timestamp, { scale = 1, dx = 0 } = {}) {
+  const keypoint = (name, x, y) => ({ name, x: 0.5 + (x - 0.5) * scale + dx, y: 0.6 + (y - 0.6) * scale, z: null, score: 0.9, world: null });
+  return new Pose({
+    engine: 'test',
+    timestamp,
+    imageWidth: 100,
+    imageHeight: 100,
+    keypoints: [
+      keypoint('left_shoulder', 0.4, 0.4), keypoint('right_shoulder', 0.6, 0.4),
+      keypoint('left_hip', 0.4, 0.6), keypoint('right_hip', 0.6, 0.6),
+      keypoint('left_wrist', 0.3, wristY), keypoint('right_wrist', 0.7, wristY)
+    ]
+  });
+}
+
+// Wrists going from the hips to above the head in a number of frames
+function armRaise(frames, options) {
+  return Array.from({ length: frames }, (_, index) => armPose(0.6 - 0.4 * index / (frames - 1), index * 100, options));
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+
+test('dynamic time warping aligns a sequence with a slower copy', () => {
+  const { path, cost } = dynamicTimeWarping([0, 1, 2], [0, 0, 1, 1, 2, 2], (a, b) => Math.abs(a - b));
+
+  assert.equal(cost, 0);
+  assert.deepEqual(path, [[0, 0], [0, 1], [1, 2], [1, 3], [2, 4], [2, 5]]);
+});
+
+test('dynamic time warping cost is the sum of the aligned distances', () => {
+  const { path, cost } = dynamicTimeWarping([0, 5], [1, 5], (a, b) => Math.abs(a - b));
+
+  assert.equal(cost, 1);
+  assert.deepEqual(path, [[0, 0], [1, 1]]);
+});
+
+test('dynamic time warping path covers both sequences from start to end', () => {
+  const a = [3, 1, 4, 1, 5];
+  const b = [9, 2, 6];
+  const { path } = dynamicTimeWarping(a, b, (x, y) => Math.abs(x - y));
+
+  assert.deepEqual(path[0], [0, 0]);
+  assert.deepEqual(path[path.length - 1], [a.length - 1, b.length - 1]);
+  path.slice(1).forEach(([i, j], index) => {
+    const [pi, pj] = path[index];
+    assert.ok(i - pi >= 0 && i - pi <= 1 && j - pj >= 0 && j - pj <= 1 && i + j > pi + pj);
+  });
+});
+
+test('normalized pose is relative to the hips in torso lengths', () => {
+  const frame = normalizePose(armPose(0.2, 1000));
+
+  assert.equal(frame.timestamp, 1000);
+  assert.deepEqual(frame.center, { x: 50, y: 60 });
+  assert.equal(frame.scale, 20);
+  close(frame.points.left_shoulder.x, -0.5);
+  close(frame.points.left_shoulder.y, -1);
+  close(frame.points.right_wrist.x, 1);
+  close(frame.points.right_wrist.y, -2);
+  assert.equal(frame.points.left_knee, undefined);
+});
+
+test('normalized pose does not depend on the position and size in the image', () => {
+  const a = normalizePose(armPose(0.3, 0));
+  const b = normalizePose(armPose(0.3, 0, { scale: 0.5, dx: 0.2 }));
+
+  Object.keys(a.points).forEach((name) => {
+    close(a.points[name].x, b.points[name].x);
+    close(a.points[name].y, b.points[name].y);
+  });
+});
+
+test('normalized pose needs the shoulders and hips', () => {
+  const pose = armPose(0.3, 0);
+  pose.get('left_hip').score = 0.1;
+
+  assert.equal(normalizePose(pose, 0.5), null);
+  assert.notEqual(normalizePose(pose, 0), null);
+});
+
+test('same motion at another speed, size and position scores 100', () => {
+  // Reference holds each position of the attempt for 3 frames
+  const reference = armRaise(4).flatMap((pose, index) => [0, 1, 2].map((frame) => armPose(pose.get('left_wrist').y, (index * 3 + frame) * 100)));
+  const comparison = new MotionComparison();
+  comparison.setReference(reference, 'test');
+
+  const result = comparison.compare(armRaise(4, { scale: 0.6, dx: -0.1 }));
+  assert.equal(result.score, 100);
+  close(result.meanError, 0);
+  assert.equal(result.duration, 300);
+  assert.equal(result.referenceDuration, 1100);
+});
+
+test('different motion scores lower with the wrists as the worst joints', () => {
+  const comparison = new MotionComparison();
+  comparison.setReference(armRaise(10), 'test');
+
+  const result = comparison.compare(Array.from({ length: 10 }, (_, index) => armPose(0.6, index * 100)));
+  assert.ok(result.score < 100);
+  assert.ok(result.meanError > 0);
+  assert.deepEqual(result.jointErrors.slice(0, 2).map((joint) => joint.name).sort(), ['left_wrist', 'right_wrist']);
+  close(result.jointErrors[result.jointErrors.length - 1].error, 0);
+});
+
+test('attempt without the body visible is not scored', () => {
+  const comparison = new MotionComparison();
+  comparison.setReference(armRaise(10), 'test');
+
+  assert.equal(comparison.compare([]), null);
+  assert.throws(() => comparison.setReference([], 'test'), /no frame with the body visible/);
+});
@@ -0,0 +1,109 @@
+// Person Tracker - Stable person IDs across frames
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PersonTracker, { personColor, PERSON_COLORS } from '../src/pose/person-tracker.js';
+
+// Pose with keypoints at the corners of a box (normalized coordinates)
+function boxPose(minX, minY, maxX, maxY, score = 0.9) {
+  return {
+    id: null,
+    keypoints: [
+      { name: 'nose', x: minX, y: minY, score },
+      { name: 'left_ankle', x: maxX, y: maxY, score }
+    ]
+  };
+}
+
+// Two people side by side, shifted to the right
+const left = (dx = 0) => boxPose(0.1 + dx, 0.1, 0.3 + dx, 0.9);
+const right = (dx = 0) => boxPose(0.6 + dx, 0.1, 0.8 + dx, 0.9);
+
+test('new people get increasing IDs', () => {
+  const tracker = new PersonTracker();
+  const poses = [left(), right()];
+  tracker.update(poses);
+
+  assert.deepEqual(poses.map((pose) => pose.id), [1, 2]);
+});
+
+test('IDs follow the people when the detector order changes', () => {
+  const tracker = new PersonTracker();
+  tracker.update([left(), right()]);
+
+  const poses = [right(0.02), left(0.02)];
+  tracker.update(poses);
+
+  assert.deepEqual(poses.map((pose) => pose.id), [2, 1]);
+});
+
+test('fast moves without overlap are matched by distance', () => {
+  const tracker = new PersonTracker();
+  tracker.update([boxPose(0.1, 0.4, 0.2, 0.6)]);
+
+  const moved = [boxPose(0.25, 0.4, 0.35, 0.6)];
+  tracker.update(moved);
+  assert.equal(moved[0].id, 1);
+
+  const far = [boxPose(0.8, 0.4, 0.9, 0.6)];
+  tracker.update(far);
+  assert.equal(far[0].id, 2);
+});
+
+test('best match wins when two poses could match a person', () => {
+  const tracker = new PersonTracker();
+  tracker.update([left()]);
+
+  const poses = [left(0.1), left(0.01)];
+  tracker.update(poses);
+
+  assert.deepEqual(poses.map((pose) => pose.id), [2, 1]);
+});
+
+test('person missing for a few frames keeps their ID', () => {
+  const tracker = new PersonTracker({ maxMissedFrames: 3 });
+  tracker.update([left(), right()]);
+  [1, 2, 3].forEach(() => tracker.update([left()]));
+
+  const poses = [left(), right()];
+  tracker.update(poses);
+  assert.deepEqual(poses.map((pose) => pose.id), [1, 2]);
+});
+
+test('person missing for too long gets a new ID', () => {
+  const tracker = new PersonTracker({ maxMissedFrames: 3 });
+  tracker.update([left(), right()]);
+  [1, 2, 3, 4].forEach(() => tracker.update([left()]));
+
+  const poses = [left(), right()];
+  tracker.update(poses);
+  assert.deepEqual(poses.map((pose) => pose.id), [1, 3]);
+});
+
+test('poses without visible keypoints get an ID but are not tracked', () => {
+  const tracker = new PersonTracker();
+  const hidden = [boxPose(0.1, 0.1, 0.3, 0.9, 0.1)];
+  tracker.update(hidden, 0.5);
+
+  assert.equal(hidden[0].id, 1);
+  assert.equal(tracker.tracks.length, 0);
+
+  const visible = [left()];
+  tracker.update(visible, 0.5);
+  assert.equal(visible[0].id, 2);
+});
+
+test('reset starts the IDs again', () => {
+  const tracker = new PersonTracker();
+  tracker.update([left(), right()]);
+  tracker.reset();
+
+  const poses = [right()];
+  tracker.update(poses);
+  assert.equal(poses[0].id, 1);
+});
+
+test('person colors cycle and the first person is green', () => {
+  assert.equal(personColor(1), '#00FF00');
+  assert.equal(personColor(null), '#00FF00');
+  assert.equal(personColor(PERSON_COLORS.length + 2), PERSON_COLORS[1]);
+});
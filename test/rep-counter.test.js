@@ -0,0 +1,121 @@
+// Rep Counter - Repetitions, partial reps and stats from drill signals
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RepCounter, { PRESETS } from '../src/pose/rep-counter.js';
+import Pose from '../src/pose/pose.js';
+
+const ENGINE = { minScore: 0.5 };
+
+// Runs knee angles through a squat counter, one frame every 100 ms
+function squats(counter, kneeAngles) {
+  kneeAngles.forEach((angle, index) => {
+    counter.update({ timestamp: index * 100, angles: { left_knee: angle, right_knee: angle } }, ENGINE);
+  });
+}
+
+// Pose with the shoulders at y 0.4, the hips at y 0.6 and both wrists at a height
+function reachPose(wristY, timestamp) {
+  const keypoint = (name, y) => ({ name, x: 0.5, y, z: null, score: 0.9, world: null });
+  return new Pose({
+    engine: 'test',
+    timestamp,
+    imageWidth: 640,
+    imageHeight: 480,
+    keypoints: [
+      keypoint('left_shoulder', 0.4), keypoint('right_shoulder', 0.4),
+      keypoint('left_hip', 0.6), keypoint('right_hip', 0.6),
+      keypoint('left_wrist', wristY), keypoint('right_wrist', wristY)
+    ]
+  });
+}
+
+test('squat is counted when the knees come back up after passing enter', () => {
+  const counter = new RepCounter('squat');
+  squats(counter, [170, 150, 120, 90, 120, 150, 170]);
+
+  assert.equal(counter.count, 1);
+  assert.equal(counter.partialReps, 0);
+  assert.equal(counter.phase, 'rest');
+
+  const [rep] = counter.reps;
+  assert.equal(rep.index, 1);
+  assert.equal(rep.duration, 500);
+  assert.equal(rep.min, 90);
+  assert.equal(rep.max, 170);
+  assert.equal(rep.range, 80);
+});
+
+test('rep is not counted until the signal is back at rest', () => {
+  const counter = new RepCounter('squat');
+  squats(counter, [170, 90, 120, 150]);
+
+  assert.equal(counter.count, 0);
+  assert.equal(counter.phase, 'reached');
+});
+
+test('movement that does not reach enter is a partial rep', () => {
+  const counter = new RepCounter('squat');
+  squats(counter, [170, 140, 120, 140, 170]);
+
+  assert.equal(counter.count, 0);
+  assert.equal(counter.partialReps, 1);
+});
+
+test('hysteresis ignores jitter around a threshold', () => {
+  const counter = new RepCounter('squat');
+  squats(counter, [170, 95, 105, 95, 105, 170, 165, 158, 165]);
+
+  assert.equal(counter.count, 1);
+  assert.equal(counter.partialReps, 1);
+});
+
+test('onRep is called with every counted rep', () => {
+  const counter = new RepCounter('squat');
+  const reps = [];
+  counter.onRep = (rep) => reps.push(rep.index);
+  squats(counter, [170, 90, 170, 90, 170]);
+
+  assert.deepEqual(reps, [1, 2]);
+});
+
+test('missing signal keeps the current phase', () => {
+  const counter = new RepCounter('squat');
+  squats(counter, [170, 90]);
+  counter.update({ timestamp: 200, angles: { left_knee: null, right_knee: null } }, ENGINE);
+  counter.update(null, ENGINE);
+
+  assert.equal(counter.value, null);
+  assert.equal(counter.phase, 'reached');
+});
+
+test('overhead reach counts wrist heights above the shoulders', () => {
+  const counter = new RepCounter('overhead_reach');
+
+  // Torso is 0.2 high, 0.2 above the shoulders is one torso length
+  [0.5, 0.3, 0.2, 0.3, 0.5].forEach((wristY, index) => counter.update(reachPose(wristY, index * 100), ENGINE));
+
+  assert.equal(counter.count, 1);
+  assert.ok(Math.abs(counter.reps[0].max - 1) < 1e-9);
+});
+
+test('stats average the last reps', () => {
+  const counter = new RepCounter('squat');
+  squats(counter, [170, 90, 170, 170, 80, 120, 170]);
+
+  const stats = counter.getStats();
+  assert.equal(stats.duration, (100 + 200) / 2);
+  assert.equal(stats.range, (80 + 90) / 2);
+  assert.equal(counter.getStats(1).range, 90);
+});
+
+test('custom drills and unknown presets', () => {
+  const counter = new RepCounter({ label: 'Curls', signal: { angle: ['left_elbow'] }, direction: 'below', enter: 60, exit: 150 });
+  [170, 50, 160].forEach((angle, index) => counter.update({ timestamp: index * 100, angles: { left_elbow: angle } }, ENGINE));
+
+  assert.equal(counter.count, 1);
+  assert.throws(() => counter.setDrill('jumping_jacks'), /Unknown drill/);
+
+  counter.setDrill('hammer_swing');
+  assert.equal(counter.drill, PRESETS.hammer_swing);
+  assert.equal(counter.count, 0);
+});